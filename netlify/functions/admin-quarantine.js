@@ -0,0 +1,38 @@
+const { createHandler, steps } = require('../lib/pipeline');
+const { listQuarantined, getQuarantined, deleteQuarantined } = require('../lib/bot-check');
+
+// Admin API to review submissions kept by BOT_CHECK_MODE=quarantine (see bot-check.js).
+//
+//   Authorization: Bearer <ADMIN_API_SECRET or signed admin token>
+//   GET ?endpoint=<name> - quarantined submissions, newest first (endpoint optional)
+//   DELETE ?key=<key>    - removes one, e.g. after reviewing it
+
+const ENDPOINTS = ['contact-form', 'newsletter-signup', 'reminder-form'];
+
+exports.default = createHandler({
+  name: 'admin-quarantine',
+  steps: [steps.allowMethods('GET', 'DELETE'), steps.requireAdmin()],
+  handler: async ({ event, log }) => {
+    const query = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'GET') {
+      if (query.endpoint && !ENDPOINTS.includes(query.endpoint)) {
+        return { statusCode: 400, body: { error: `endpoint must be one of: ${ENDPOINTS.join(', ')}` } };
+      }
+      const entries = await listQuarantined(query.endpoint || null);
+      return { statusCode: 200, body: { total: entries.length, entries } };
+    }
+
+    if (!query.key) {
+      return { statusCode: 400, body: { error: 'key is required' } };
+    }
+
+    if (!(await getQuarantined(query.key))) {
+      return { statusCode: 404, body: { error: 'Quarantined submission not found' } };
+    }
+
+    await deleteQuarantined(query.key);
+    log.info('Removed quarantined submission', { key: query.key });
+    return { statusCode: 200, body: { removed: true } };
+  }
+});
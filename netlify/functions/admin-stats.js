@@ -0,0 +1,141 @@
+const { createHandler, steps } = require('../lib/pipeline');
+const { listSubmissions, senderStatusOf } = require('../lib/submissions');
+const { getSubscription } = require('../lib/subscriptions');
+const { listRateLimitRejections } = require('../lib/rate-limit');
+const { sourceOf } = require('../lib/attribution');
+
+// Admin API with aggregated submission analytics.
+//
+// GET /.netlify/functions/admin-stats
+//   Authorization: Bearer <ADMIN_API_SECRET or signed admin token>
+//   from, to - ISO dates (UTC days, inclusive); defaults to the last 30 days, at most 366 days
+//
+// Reports submissions per day per endpoint, signups and confirmed subscriptions by source,
+// campaign and page (podcast episode), the Sender.net outcome of signups and rate-limit
+// rejections per day. A signup converts when the submitter's subscription is confirmed now.
+
+const ENDPOINTS = ['contact-form', 'newsletter-signup', 'reminder-form'];
+const SIGNUP_ENDPOINTS = ['newsletter-signup', 'reminder-form'];
+const SENDER_STATUSES = ['success', 'already_exists', 'failed', 'skipped', 'queued', 'unconfirmed'];
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+function daysBetween(from, to) {
+  const days = [];
+  for (let time = Date.parse(from); time <= Date.parse(to); time += DAY) {
+    days.push(new Date(time).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+// Episode or page the submission was made from, without query string
+function pageOf(submission) {
+  const attribution = (submission.meta && submission.meta.attribution) || {};
+  const page = submission.data.pageUrl || attribution.landingPage;
+  if (!page) {
+    return '(unknown)';
+  }
+  const url = new URL(page);
+  return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '') || '/'}`;
+}
+
+// Adds a submission to its group: { submissions, signups, confirmed, conversionRate }
+function tally(groups, name, submission, confirmed) {
+  const group = groups.get(name) || { name, submissions: 0, signups: 0, confirmed: 0, conversionRate: 0 };
+  group.submissions++;
+  if (SIGNUP_ENDPOINTS.includes(submission.endpoint)) {
+    group.signups++;
+    group.confirmed += confirmed ? 1 : 0;
+    group.conversionRate = Math.round((group.confirmed / group.signups) * 1000) / 1000;
+  }
+  groups.set(name, group);
+}
+
+function sortedGroups(groups) {
+  return [...groups.values()].sort((a, b) => b.signups - a.signups || b.submissions - a.submissions);
+}
+
+exports.default = createHandler({
+  name: 'admin-stats',
+  steps: [steps.allowMethods('GET'), steps.requireAdmin()],
+  handler: async (ctx) => {
+    const query = ctx.event.queryStringParameters || {};
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - (DEFAULT_DAYS - 1) * DAY);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return { statusCode: 400, body: { error: 'from and to must be ISO 8601 dates' } };
+    }
+
+    const fromDay = from.toISOString().slice(0, 10);
+    const toDay = to.toISOString().slice(0, 10);
+    const days = daysBetween(fromDay, toDay);
+    if (days.length === 0 || days.length > MAX_DAYS) {
+      return { statusCode: 400, body: { error: `from must be before to, at most ${MAX_DAYS} days apart` } };
+    }
+
+    const submissions = (await listSubmissions())
+      .filter((submission) => {
+        const day = submission.createdAt.slice(0, 10);
+        return day >= fromDay && day <= toDay;
+      });
+
+    const perDay = new Map(days.map((day) => [day, Object.fromEntries(ENDPOINTS.map((endpoint) => [endpoint, 0]))]));
+    const totals = Object.fromEntries(ENDPOINTS.map((endpoint) => [endpoint, 0]));
+    const senderOutcomes = Object.fromEntries(SENDER_STATUSES.map((status) => [status, 0]));
+    const bySource = new Map();
+    const byCampaign = new Map();
+    const byPage = new Map();
+    const subscriptionStatuses = new Map();
+
+    for (const submission of submissions) {
+      const attribution = submission.meta && submission.meta.attribution;
+      let confirmed = false;
+
+      if (SIGNUP_ENDPOINTS.includes(submission.endpoint)) {
+        // Current subscription state, looked up once per email
+        const email = submission.data.email.trim().toLowerCase();
+        if (!subscriptionStatuses.has(email)) {
+          const subscription = await getSubscription(email);
+          subscriptionStatuses.set(email, subscription ? subscription.status : null);
+        }
+        confirmed = subscriptionStatuses.get(email) === 'confirmed';
+
+        const senderStatus = senderStatusOf(submission) || 'unknown';
+        senderOutcomes[senderStatus] = (senderOutcomes[senderStatus] || 0) + 1;
+      }
+
+      perDay.get(submission.createdAt.slice(0, 10))[submission.endpoint]++;
+      totals[submission.endpoint]++;
+      tally(bySource, sourceOf(attribution), submission, confirmed);
+      tally(byCampaign, (attribution && attribution.utmCampaign) || '(none)', submission, confirmed);
+      tally(byPage, pageOf(submission), submission, confirmed);
+    }
+
+    const rejections = await listRateLimitRejections({ from: fromDay, to: toDay });
+    const rejectionsByEndpoint = {};
+    for (const rejection of rejections) {
+      rejectionsByEndpoint[rejection.endpoint] = (rejectionsByEndpoint[rejection.endpoint] || 0) + rejection.count;
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        from: fromDay,
+        to: toDay,
+        totals: { ...totals, all: submissions.length },
+        perDay: [...perDay].map(([date, counts]) => ({ date, ...counts })),
+        bySource: sortedGroups(bySource),
+        byCampaign: sortedGroups(byCampaign),
+        byPage: sortedGroups(byPage),
+        senderOutcomes,
+        rateLimitRejections: {
+          total: rejections.reduce((sum, rejection) => sum + rejection.count, 0),
+          byEndpoint: rejectionsByEndpoint,
+          perDay: rejections
+        }
+      }
+    };
+  }
+});
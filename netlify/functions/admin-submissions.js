@@ -0,0 +1,156 @@
+const { createHandler, steps } = require('../lib/pipeline');
+const { listSubmissions, senderStatusOf } = require('../lib/submissions');
+const { getSubscription } = require('../lib/subscriptions');
+const { sourceOf } = require('../lib/attribution');
+
+// Admin API to browse and export stored submissions.
+//
+// GET /.netlify/functions/admin-submissions
+//   Authorization: Bearer <ADMIN_API_SECRET or signed admin token>
+//   endpoint           - contact-form | newsletter-signup | reminder-form
+//   from, to           - ISO dates or date-times, inclusive range on createdAt; a date-only `to`
+//                        (e.g. 2026-10-19) includes that whole UTC day
+//   senderStatus       - success | already_exists | skipped | queued | failed | unconfirmed
+//   subscriptionStatus - pending | confirmed | unsubscribed | bounced | complained (current, per email)
+//   reason             - contact form reason
+//   source             - traffic source: utm_source, referring host or 'direct'
+//   utmCampaign        - UTM campaign
+//   page               - 1-based page number (default 1)
+//   pageSize           - default 50, max 200
+//   format             - json (default) or csv; csv exports every match, unpaginated
+//   download           - with format=json, exports every match as a JSON file instead of a page
+
+const ENDPOINTS = ['contact-form', 'newsletter-signup', 'reminder-form'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = [
+  'key', 'endpoint', 'createdAt', 'firstName', 'lastName', 'email', 'reason',
+  'message', 'pageUrl', 'pageTitle', 'remindAt', 'startsAt', 'senderStatus', 'subscriptionStatus', 'route', 'ip', 'trusted', 'apiKey',
+  'source', 'utmSource', 'utmMedium', 'utmCampaign', 'utmTerm', 'utmContent', 'referrer', 'landingPage'
+];
+
+function toRow(submission, subscriptionStatuses) {
+  const email = submission.data.email && submission.data.email.trim().toLowerCase();
+  const attribution = submission.meta && submission.meta.attribution;
+
+  return {
+    key: submission.key,
+    endpoint: submission.endpoint,
+    createdAt: submission.createdAt,
+    ...submission.data,
+    senderStatus: senderStatusOf(submission),
+    subscriptionStatus: (email && subscriptionStatuses.get(email)) || null,
+    route: (submission.meta && submission.meta.route) || null,
+    ip: submission.meta && submission.meta.ip,
+    trusted: submission.meta && submission.meta.trusted,
+    apiKey: submission.meta && submission.meta.apiKey,
+    source: sourceOf(attribution),
+    ...attribution
+  };
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  // Neutralise spreadsheet formulas in user-supplied values
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map((column) => csvCell(row[column])).join(','));
+  }
+  return lines.join('\r\n');
+}
+
+exports.default = createHandler({
+  name: 'admin-submissions',
+  steps: [steps.allowMethods('GET'), steps.requireAdmin()],
+  handler: async (ctx) => {
+    const query = ctx.event.queryStringParameters || {};
+
+    if (query.endpoint && !ENDPOINTS.includes(query.endpoint)) {
+      return { statusCode: 400, body: { error: `endpoint must be one of: ${ENDPOINTS.join(', ')}` } };
+    }
+
+    const from = query.from ? new Date(query.from) : null;
+    let to = query.to ? new Date(query.to) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return { statusCode: 400, body: { error: 'from and to must be ISO 8601 dates' } };
+    }
+    if (to && DATE_ONLY.test(query.to)) {
+      to = new Date(to.getTime() + DAY - 1); // end of that day
+    }
+
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE));
+
+    const submissions = (await listSubmissions(query.endpoint || null))
+      .filter((submission) => {
+        const createdAt = new Date(submission.createdAt);
+        return (!from || createdAt >= from) && (!to || createdAt <= to);
+      });
+
+    // Current subscription state (opt-outs synced from Sender.net), looked up once per email
+    const subscriptionStatuses = new Map();
+    for (const submission of submissions) {
+      const email = submission.endpoint !== 'contact-form' && submission.data.email;
+      if (email && !subscriptionStatuses.has(email.trim().toLowerCase())) {
+        const subscription = await getSubscription(email);
+        subscriptionStatuses.set(email.trim().toLowerCase(), subscription ? subscription.status : null);
+      }
+    }
+
+    const rows = submissions
+      .map((submission) => toRow(submission, subscriptionStatuses))
+      .filter((row) => !query.senderStatus || row.senderStatus === query.senderStatus)
+      .filter((row) => !query.subscriptionStatus || row.subscriptionStatus === query.subscriptionStatus)
+      .filter((row) => !query.reason || row.reason === query.reason)
+      .filter((row) => !query.source || row.source === query.source)
+      .filter((row) => !query.utmCampaign || row.utmCampaign === query.utmCampaign);
+
+    const filename = `submissions-${new Date().toISOString().slice(0, 10)}`;
+
+    if (query.format === 'csv') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${filename}.csv"`
+        },
+        body: toCsv(rows)
+      };
+    }
+
+    if (query.download === 'true' || query.download === '1') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Disposition': `attachment; filename="${filename}.json"`
+        },
+        body: JSON.stringify(rows, null, 2)
+      };
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        total: rows.length,
+        page,
+        pageSize,
+        totalPages: Math.ceil(rows.length / pageSize),
+        submissions: rows.slice((page - 1) * pageSize, page * pageSize)
+      }
+    };
+  }
+});
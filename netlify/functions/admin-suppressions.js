@@ -0,0 +1,32 @@
+const { createHandler, steps } = require('../lib/pipeline');
+const { listSuppressions, getSuppression, unsuppress } = require('../lib/suppressions');
+
+// Admin API for the email suppression list (bounces and spam complaints).
+//
+//   Authorization: Bearer <ADMIN_API_SECRET or signed admin token>
+//   GET                   - every suppressed address, newest first
+//   DELETE ?email=<email> - removes an address, e.g. after the recipient fixed their mailbox
+
+exports.default = createHandler({
+  name: 'admin-suppressions',
+  steps: [steps.allowMethods('GET', 'DELETE'), steps.requireAdmin()],
+  handler: async ({ event, log }) => {
+    if (event.httpMethod === 'GET') {
+      const suppressions = await listSuppressions();
+      return { statusCode: 200, body: { total: suppressions.length, suppressions } };
+    }
+
+    const email = (event.queryStringParameters || {}).email;
+    if (!email) {
+      return { statusCode: 400, body: { error: 'email is required' } };
+    }
+
+    if (!(await getSuppression(email))) {
+      return { statusCode: 404, body: { error: 'Address is not suppressed' } };
+    }
+
+    await unsuppress(email);
+    log.info('Removed address from suppression list', { email });
+    return { statusCode: 200, body: { removed: true } };
+  }
+});
@@ -0,0 +1,96 @@
+const { createHandler, steps } = require('../lib/pipeline');
+const { verifyToken } = require('../lib/tokens');
+const { enqueueAndRun } = require('../lib/jobs');
+const { fromAddress } = require('../lib/mailer');
+const { renderEmail } = require('../lib/email-templates');
+const { getSubscription, confirmSubscription } = require('../lib/subscriptions');
+const { htmlResponse } = require('../lib/html-response');
+const { tagsForSource } = require('../lib/mailing-list');
+const { getSuppression } = require('../lib/suppressions');
+
+// Opened from the link in the double opt-in email sent by newsletter-signup and reminder-form.
+// GET shows a page with a confirm button (so link scanners can't confirm anyone); POST confirms.
+// Only a valid, unexpired token for a 'pending' subscription queues the subscriber for Sender.net;
+// an address that opted out since ('unsubscribed', 'bounced', 'complained') has to sign up again.
+
+exports.default = createHandler({
+  name: 'confirm-subscription',
+  steps: [steps.allowMethods('GET', 'POST')],
+  handler: async ({ event, log }) => {
+    const token = (event.queryStringParameters || {}).token;
+    const payload = verifyToken('confirm-subscription', token);
+
+    if (!payload) {
+      log.info('Invalid or expired token');
+      return htmlResponse(400, 'Link expired', 'This confirmation link is invalid or has expired. Please sign up again.');
+    }
+
+    if (event.httpMethod === 'GET') {
+      const action = `/.netlify/functions/confirm-subscription?token=${encodeURIComponent(token)}`;
+      return htmlResponse(200, 'Confirm your subscription', 'Do you want to receive emails from iBuildWith.ai?', `<form method="post" action="${action}">
+<button type="submit">Confirm subscription</button>
+</form>`);
+    }
+
+    try {
+      const subscription = await getSubscription(payload.email);
+
+      if (!subscription) {
+        log.info('No subscription found', { email: payload.email });
+        return htmlResponse(404, 'Subscription not found', 'We couldn\'t find this signup. Please sign up again.');
+      }
+
+      if (subscription.status === 'confirmed') {
+        return htmlResponse(200, 'Already subscribed', 'Your subscription was already confirmed. Thanks!');
+      }
+
+      if (subscription.status !== 'pending') {
+        log.info('Subscription no longer pending', { email: payload.email, status: subscription.status });
+        return htmlResponse(409, 'Already unsubscribed', 'This address has unsubscribed since this link was sent. To get our emails again, please sign up again at https://ibuildwith.ai');
+      }
+
+      await confirmSubscription(subscription);
+
+      // Mailing-list delivery is a retryable job, so an outage never loses the subscriber.
+      // Tags keep reminder signups segmented from newsletter signups.
+      const { firstName, lastName, email } = subscription;
+      const tags = tagsForSource(subscription.source);
+      const senderJob = await enqueueAndRun('add-subscriber', { email, firstName, lastName, tags }, {
+        submissionKey: subscription.submissionKey
+      });
+      const senderStatus = senderJob.status === 'done' ? senderJob.result.senderStatus : 'queued for retry';
+      log.info('Subscription confirmed', { email, source: subscription.source, senderStatus });
+
+      // Notify the admin for the signup's source, with Sender.net status
+      const notification = renderEmail('newsletter-admin-notification', {
+        firstName,
+        lastName,
+        email,
+        source: subscription.source,
+        date: new Date().toLocaleString(),
+        senderStatus,
+        senderQueued: senderJob.status !== 'done',
+        senderError: senderJob.lastError,
+        suppression: await getSuppression(email)
+      });
+
+      const adminEmail = subscription.source === 'reminder'
+        ? process.env.REMINDER_ADMIN_EMAIL
+        : process.env.RECIPIENT_EMAIL;
+
+      await enqueueAndRun('send-email', {
+        from: fromAddress('system'),
+        to: [adminEmail],
+        subject: notification.subject,
+        text: notification.text,
+        html: notification.html
+      }, { submissionKey: subscription.submissionKey });
+
+      return htmlResponse(200, 'Subscription confirmed', 'Thanks for confirming! You\'re now subscribed to the iBuildWith.ai newsletter.');
+
+    } catch (error) {
+      log.error('Function error', { error });
+      return htmlResponse(500, 'Something went wrong', 'We couldn\'t confirm your subscription right now. Please try the link again later.');
+    }
+  }
+});
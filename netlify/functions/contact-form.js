@@ -1,104 +1,44 @@
-const { Resend } = require('resend');
-
-// Rate limiting storage (in-memory, resets on function cold start)
-const rateLimitStore = new Map();
-
-exports.handler = async (event, context) => {
-  // CORS headers for all responses - Allow both www and non-www domains
-  const origin = event.headers.origin || event.headers.Origin;
-  const allowedOrigins = ['https://ibuildwith.ai', 'https://www.ibuildwith.ai'];
-  const corsOrigin = allowedOrigins.includes(origin) ? origin : 'https://ibuildwith.ai';
-
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': corsOrigin,
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Max-Age': '86400'
-  };
-
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers: corsHeaders,
-      body: ''
-    };
-  }
-
-  // Only allow POST requests
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers: corsHeaders,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
-  }
-
-  try {
-    // Check for trusted API key (e.g., VAPI voice agent)
-    const apiKey = event.headers['x-api-key'];
-    const isTrustedCaller = apiKey && apiKey === process.env.VAPI_API_KEY;
-
-    // Rate limiting by IP (skip for trusted callers)
-    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
-    const now = Date.now();
-    const windowMs = 60 * 60 * 1000; // 1 hour
-    const maxRequests = 3; // Reduced from 5 for better security
-
-    if (!isTrustedCaller) {
-      if (rateLimitStore.has(clientIP)) {
-        const { count, firstRequest } = rateLimitStore.get(clientIP);
-
-        if (now - firstRequest < windowMs) {
-          if (count >= maxRequests) {
-            return {
-              statusCode: 429,
-              headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                error: 'Too many requests. Please wait before submitting again.'
-              })
-            };
-          }
-          rateLimitStore.set(clientIP, { count: count + 1, firstRequest });
-        } else {
-          // Reset the window
-          rateLimitStore.set(clientIP, { count: 1, firstRequest: now });
-        }
-      } else {
-        rateLimitStore.set(clientIP, { count: 1, firstRequest: now });
-      }
-    }
-
-    // Parse form data
-    const formData = JSON.parse(event.body);
-
-    // Validate required fields
-    const { firstName, lastName, email, reason, message } = formData;
-
-    if (!firstName || !lastName || !email || !message) {
-      return {
-        statusCode: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          error: 'Missing required fields: firstName, lastName, email, message'
-        })
-      };
-    }
-
-    // Basic email validation - requires valid TLD (min 2 characters)
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[a-zA-Z]{2,}$/;
-    if (!emailRegex.test(email)) {
-      return {
-        statusCode: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          error: 'Invalid email format'
-        })
-      };
-    }
+const { createHandler, formSteps } = require('../lib/pipeline');
+const { recordSubmission, addSubmissionMeta } = require('../lib/submissions');
+const { enqueueAndRun } = require('../lib/jobs');
+const { fromAddress } = require('../lib/mailer');
+const { renderEmail } = require('../lib/email-templates');
+const { emitEvent } = require('../lib/events');
+const { getSuppression } = require('../lib/suppressions');
+const { checkReason, routeFor } = require('../lib/contact-routing');
+
+const contactSchema = {
+  firstName: { type: 'string', required: true, maxLength: 100 },
+  lastName: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'string', required: true, maxLength: 254, format: 'email' },
+  // Any reason the website sends, unless CONTACT_REASONS restricts it (see contact-routing.js)
+  reason: { type: 'string', maxLength: 100, check: checkReason },
+  message: { type: 'string', required: true, maxLength: 5000 }
+};
+
+// Auto-replies copy the visitor's text to an address they typed, so anonymous visitors only get one
+// when CAPTCHA is enabled and bots can't use us as a mail relay; trusted callers always do
+function autoReplyAllowed(ctx) {
+  return process.env.CONTACT_AUTO_REPLY === 'true' && (ctx.isTrustedCaller || Boolean(process.env.CAPTCHA_PROVIDER));
+}
+
+exports.default = createHandler({
+  name: 'contact-form',
+  steps: formSteps(contactSchema),
+  handler: async (ctx) => {
+    const { firstName, lastName, email, reason, message } = ctx.values;
+
+    // Persist the submission before attempting delivery, so nothing is lost if email delivery fails
+    const submission = await recordSubmission('contact-form', ctx.values, {
+      ip: ctx.clientIP,
+      userAgent: ctx.event.headers['user-agent'] || null,
+      trusted: ctx.isTrustedCaller,
+      apiKey: ctx.apiKey ? ctx.apiKey.name : null,
+      attribution: ctx.attribution
+    });
 
-    // Initialize Resend
-    const resend = new Resend(process.env.RESEND_API_KEY);
+    const route = routeFor(reason);
+    await addSubmissionMeta(submission.key, { route: route.name });
 
     // Get current timestamp
     const timestamp = new Date().toLocaleString('en-US', {
@@ -112,63 +52,66 @@ exports.handler = async (event, context) => {
     });
 
     // Prepare email content
-    const emailSubject = 'New Contact Form Submission - iBuildWith.ai';
-    const emailContent = `
-New contact form submission from iBuildWith.ai
-
-Name: ${firstName} ${lastName}
-Email: ${email}
-Reason: ${reason || 'Not specified'}
-Message: ${message}
-
-Submitted: ${timestamp}
-IP Address: ${clientIP}
-User Agent: ${event.headers['user-agent'] || 'Not available'}
-
----
-This email was sent from the iBuildWith.ai contact form.
-    `.trim();
-
-    // Send email
-    const { data, error } = await resend.emails.send({
-      from: 'contact@send.ibuildwith.ai',
-      to: [process.env.RECIPIENT_EMAIL],
-      subject: emailSubject,
-      text: emailContent
+    const notification = renderEmail('contact-notification', {
+      firstName,
+      lastName,
+      email,
+      reason,
+      message,
+      timestamp,
+      clientIP: ctx.clientIP,
+      userAgent: ctx.event.headers['user-agent'],
+      suppression: await getSuppression(email)
     });
 
-    if (error) {
-      console.error('Resend error:', error);
-      return {
-        statusCode: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          error: 'Failed to send email. Please try again later.'
-        })
-      };
+    // Send email to the reason's recipients (retried by process-queue if every email provider fails)
+    const emailJob = await enqueueAndRun('send-email', {
+      from: fromAddress('contact'),
+      to: route.to,
+      ...(route.cc.length ? { cc: route.cc } : {}),
+      ...(route.bcc.length ? { bcc: route.bcc } : {}),
+      reply_to: email, // Answer the submitter with one click
+      subject: route.subjectPrefix ? `${route.subjectPrefix} ${notification.subject}` : notification.subject,
+      text: notification.text,
+      html: notification.html
+    }, { submissionKey: submission.key });
+
+    if (emailJob.status === 'done') {
+      ctx.log.info('Email sent', { ...emailJob.result, route: route.name });
+    } else {
+      ctx.log.warn('Email delivery queued for retry', { submission: submission.key, jobId: emailJob.id, error: emailJob.lastError });
     }
 
-    console.log('Email sent successfully:', data);
+    // Optional acknowledgement to the submitter; replies go to the owner's inbox
+    if (autoReplyAllowed(ctx)) {
+      const acknowledgement = renderEmail('contact-acknowledgement', { firstName, reason, message });
+
+      const acknowledgementJob = await enqueueAndRun('send-email', {
+        from: fromAddress('contact'),
+        to: [email],
+        reply_to: process.env.CONTACT_REPLY_TO || process.env.RECIPIENT_EMAIL,
+        subject: acknowledgement.subject,
+        text: acknowledgement.text,
+        html: acknowledgement.html
+      }, { submissionKey: submission.key });
+
+      if (acknowledgementJob.status !== 'done') {
+        ctx.log.warn('Acknowledgement queued for retry', { submission: submission.key, jobId: acknowledgementJob.id, error: acknowledgementJob.lastError });
+      }
+    }
+
+    // Notify webhooks (Slack, CRM, ...)
+    await emitEvent('contact.submitted', { submission: submission.key, ...ctx.values, attribution: ctx.attribution }, { submissionKey: submission.key });
 
     // Return success response
     return {
       statusCode: 200,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
+      body: {
         success: true,
-        message: 'Your message has been sent successfully!'
-      })
-    };
-
-  } catch (error) {
-    console.error('Function error:', error);
-
-    return {
-      statusCode: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        error: 'Internal server error. Please try again later.'
-      })
+        message: emailJob.status === 'done'
+          ? 'Your message has been sent successfully!'
+          : 'Your message has been received and will be delivered shortly.'
+      }
     };
   }
-};
\ No newline at end of file
+});
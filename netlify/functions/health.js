@@ -0,0 +1,121 @@
+const { createHandler, steps } = require('../lib/pipeline');
+const { isAdminRequest } = require('../lib/admin-auth');
+const { checkConfig } = require('../lib/config');
+const { openStore } = require('../lib/store');
+const { checkEmailProviders } = require('../lib/mailer');
+const { mailingList } = require('../lib/mailing-list');
+const { episodesFeedConfigured, listEpisodes } = require('../lib/episodes');
+const { version } = require('../../package.json');
+
+// Health check for uptime monitors: configuration, storage, email providers, mailing list and,
+// when configured, the episodes feed.
+// Returns 200 when everything works, 200 with status 'degraded' when only a fallback email
+// provider is down, and 503 when something is broken. Anyone gets { status, version }; the
+// individual checks are only included for admins (Authorization: Bearer, see admin-auth.js).
+// Storage and provider probes are cached for a minute, so polling can't hammer the providers.
+
+const PROBE_CACHE_MS = 60 * 1000;
+
+let cachedProbes = null;
+
+// Storage works when a write and a read both succeed. The value read is not compared with the one
+// written: another instance's health check may have written in between.
+async function checkStorage() {
+  try {
+    const store = openStore('health');
+    await store.set('check', { checkedAt: new Date().toISOString() });
+    await store.get('check');
+    return { status: 'ok' };
+  } catch (error) {
+    return { status: 'error', error: error.message };
+  }
+}
+
+async function checkEmail() {
+  try {
+    const providers = await checkEmailProviders();
+    const working = providers.filter((provider) => provider.ok).length;
+    let status = 'ok';
+
+    if (working === 0) {
+      status = 'error';
+    } else if (working < providers.length) {
+      status = 'degraded';
+    }
+    return { status, providers };
+  } catch (error) {
+    return { status: 'error', error: error.message };
+  }
+}
+
+async function checkMailingList() {
+  try {
+    const provider = mailingList();
+    const { status, errorDetails } = await provider.checkConnection();
+    return {
+      status: status === 'success' ? 'ok' : 'error',
+      provider: provider.name,
+      error: status === 'success' ? undefined : errorDetails || (status === 'skipped' ? 'Not configured' : status)
+    };
+  } catch (error) {
+    return { status: 'error', error: error.message };
+  }
+}
+
+async function checkEpisodesFeed() {
+  try {
+    const episodes = await listEpisodes();
+    return { status: 'ok', episodes: episodes.length };
+  } catch (error) {
+    return { status: 'error', error: error.message };
+  }
+}
+
+async function runProbes() {
+  const [storage, email, mailingListCheck] = await Promise.all([checkStorage(), checkEmail(), checkMailingList()]);
+  const probes = { storage, email, mailingList: mailingListCheck };
+
+  if (episodesFeedConfigured()) {
+    probes.episodesFeed = await checkEpisodesFeed();
+  }
+  return probes;
+}
+
+async function cachedRunProbes() {
+  if (!cachedProbes || Date.now() - cachedProbes.checkedAt >= PROBE_CACHE_MS) {
+    cachedProbes = { checkedAt: Date.now(), probes: await runProbes() };
+  }
+  return cachedProbes.probes;
+}
+
+exports.default = createHandler({
+  name: 'health',
+  steps: [steps.allowMethods('GET')],
+  handler: async ({ event, headers, log }) => {
+    const config = checkConfig();
+    const checks = {
+      config: { status: config.ok ? 'ok' : 'error', missing: config.missing, errors: config.errors, warnings: config.warnings },
+      ...(await cachedRunProbes())
+    };
+
+    const statuses = Object.values(checks).map((check) => check.status);
+    let status = 'ok';
+    if (statuses.includes('error')) {
+      status = 'error';
+    } else if (statuses.includes('degraded')) {
+      status = 'degraded';
+    }
+
+    if (status !== 'ok') {
+      log.warn('Health check failed', { status, checks });
+    }
+
+    headers['Cache-Control'] = 'no-store';
+    return {
+      statusCode: status === 'error' ? 503 : 200,
+      body: isAdminRequest(event)
+        ? { status, version, time: new Date().toISOString(), checks }
+        : { status, version }
+    };
+  }
+});
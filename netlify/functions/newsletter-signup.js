@@ -1,205 +1,80 @@
-const { Resend } = require('resend');
-
-// Rate limiting configuration
-const RATE_LIMIT_WINDOW = 60 * 60 * 1000; // 1 hour
-const MAX_REQUESTS_PER_WINDOW = 3; // Reduced from 5 for better security
-const ipRequestMap = new Map();
-
-// Cleanup old rate limit entries every hour
-setInterval(() => {
-    const now = Date.now();
-    for (const [ip, data] of ipRequestMap.entries()) {
-        if (now - data.startTime > RATE_LIMIT_WINDOW) {
-            ipRequestMap.delete(ip);
-        }
-    }
-}, RATE_LIMIT_WINDOW);
-
-exports.handler = async (event, context) => {
-    // Enable CORS - Allow both www and non-www domains
-    const origin = event.headers.origin || event.headers.Origin;
-    const allowedOrigins = ['https://ibuildwith.ai', 'https://www.ibuildwith.ai'];
-    const corsOrigin = allowedOrigins.includes(origin) ? origin : 'https://ibuildwith.ai';
-
-    const headers = {
-        'Access-Control-Allow-Origin': corsOrigin,
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS'
-    };
-
-    // Handle preflight OPTIONS request
-    if (event.httpMethod === 'OPTIONS') {
-        return {
-            statusCode: 200,
-            headers,
-            body: ''
-        };
-    }
-
-    if (event.httpMethod !== 'POST') {
-        return {
-            statusCode: 405,
-            headers,
-            body: JSON.stringify({ error: 'Method Not Allowed' })
-        };
-    }
-
-    // Check for trusted API key (e.g., VAPI voice agent)
-    const apiKey = event.headers['x-api-key'];
-    const isTrustedCaller = apiKey && apiKey === process.env.VAPI_API_KEY;
-
-    // Rate Limiting (skip for trusted callers)
-    const clientIp = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
-    const now = Date.now();
-
-    if (!isTrustedCaller && clientIp !== 'unknown') {
-        const requestData = ipRequestMap.get(clientIp) || { count: 0, startTime: now };
+const { createHandler, formSteps } = require('../lib/pipeline');
+const { createPendingSubscription, confirmationUrl } = require('../lib/subscriptions');
+const { recordSubmission } = require('../lib/submissions');
+const { tagsForSource } = require('../lib/mailing-list');
+const { emitEvent } = require('../lib/events');
+const { enqueueAndRun } = require('../lib/jobs');
+const { fromAddress } = require('../lib/mailer');
+const { renderEmail } = require('../lib/email-templates');
+
+const newsletterSchema = {
+    firstName: { type: 'string', required: true, maxLength: 100 },
+    lastName: { type: 'string', required: true, maxLength: 100 },
+    email: { type: 'string', required: true, maxLength: 254, format: 'email' }
+};
 
-        if (now - requestData.startTime > RATE_LIMIT_WINDOW) {
-            // Reset window
-            requestData.count = 1;
-            requestData.startTime = now;
+exports.default = createHandler({
+    name: 'newsletter-signup',
+    steps: formSteps(newsletterSchema),
+    handler: async (ctx) => {
+        const { firstName, lastName, email } = ctx.values;
+
+        // Persist the submission, then store a pending subscription; Sender.net is only updated once the address is confirmed
+        const submission = await recordSubmission('newsletter-signup', ctx.values, {
+            ip: ctx.clientIP,
+            userAgent: ctx.event.headers['user-agent'] || null,
+            trusted: ctx.isTrustedCaller,
+            apiKey: ctx.apiKey ? ctx.apiKey.name : null,
+            attribution: ctx.attribution
+        });
+        const subscription = await createPendingSubscription({
+            email,
+            firstName,
+            lastName,
+            source: 'newsletter',
+            submissionKey: submission.key
+        });
+
+        if (subscription.status === 'confirmed') {
+            ctx.log.info('Subscription already confirmed', { email });
+
+            // Add the newsletter tag; the name they confirmed is kept, this signup is unverified
+            await enqueueAndRun('tag-subscriber', {
+                email,
+                tags: tagsForSource('newsletter')
+            }, { submissionKey: submission.key });
         } else {
-            requestData.count++;
-        }
-
-        ipRequestMap.set(clientIp, requestData);
-
-        if (requestData.count > MAX_REQUESTS_PER_WINDOW) {
-            return {
-                statusCode: 429,
-                headers,
-                body: JSON.stringify({ error: 'Too many requests. Please try again later.' })
-            };
-        }
-    }
-
-    try {
-        const data = JSON.parse(event.body);
-        const { firstName, lastName, email } = data;
-
-        // Basic Validation
-        if (!firstName || !lastName || !email) {
-            return {
-                statusCode: 400,
-                headers,
-                body: JSON.stringify({ error: 'Missing required fields' })
-            };
-        }
-
-        // Email Validation - requires valid TLD (min 2 characters)
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[a-zA-Z]{2,}$/;
-        if (!emailRegex.test(email)) {
-            return {
-                statusCode: 400,
-                headers,
-                body: JSON.stringify({ error: 'Invalid email format' })
-            };
-        }
-
-        // 1. Add to Sender.net and track status
-        let senderStatus = 'success';
-        let senderErrorDetails = '';
-
-        if (process.env.SENDER_API_TOKEN) {
-            try {
-                const addSubscriberResponse = await fetch('https://api.sender.net/v2/subscribers', {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${process.env.SENDER_API_TOKEN}`,
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        email: email,
-                        firstname: firstName,
-                        lastname: lastName
-                    }),
-                    signal: AbortSignal.timeout(5000) // 5 second timeout
-                });
-
-                const subscriberData = await addSubscriberResponse.json();
+            const confirmation = renderEmail('newsletter-confirmation', {
+                firstName,
+                confirmationUrl: confirmationUrl(email)
+            });
 
-                if (!addSubscriberResponse.ok) {
-                    // Check if subscriber already exists
-                    if (addSubscriberResponse.status === 422 ||
-                        (subscriberData.message && subscriberData.message.includes('already exists'))) {
-                        console.log(`Email ${email} is already subscribed to Sender.net.`);
-                        senderStatus = 'already_exists';
-                    } else {
-                        senderStatus = 'failed';
-                        senderErrorDetails = `Status: ${addSubscriberResponse.status}, Message: ${subscriberData.message || addSubscriberResponse.statusText}`;
-                        throw new Error(`Sender.net API error: ${subscriberData.message || addSubscriberResponse.statusText}`);
-                    }
-                } else {
-                    console.log(`Successfully added ${email} to Sender.net`);
-                    senderStatus = 'success';
-                }
-            } catch (senderError) {
-                console.error('Sender.net Error:', senderError);
-                senderStatus = 'failed';
-                if (!senderErrorDetails) {
-                    senderErrorDetails = senderError.message;
-                }
+            // Retried by process-queue if every email provider fails
+            const emailJob = await enqueueAndRun('send-email', {
+                from: fromAddress('newsletter'),
+                to: [email],
+                subject: confirmation.subject,
+                text: confirmation.text,
+                html: confirmation.html
+            }, { submissionKey: submission.key });
+
+            if (emailJob.status !== 'done') {
+                ctx.log.warn('Confirmation email queued for retry', { jobId: emailJob.id, error: emailJob.lastError });
             }
-        } else {
-            console.warn('Sender.net API token not set. Skipping Sender.net integration.');
-            senderStatus = 'skipped';
         }
 
-        // 2. Send Notification Email via Resend with Sender.net status
-        try {
-            const resend = new Resend(process.env.RESEND_API_KEY);
-
-            let emailContent = `
-      New Newsletter Signup:
-
-      First Name: ${firstName}
-      Last Name: ${lastName}
-      Email: ${email}
-
-      Date: ${new Date().toLocaleString()}
-
-      Sender.net Status: ${senderStatus}`;
-
-            if (senderStatus === 'failed') {
-                emailContent += `
-
-      ⚠️ ACTION REQUIRED: Failed to add subscriber to Sender.net
-      Please manually add this subscriber to your Sender.net list.
-
-      Error Details: ${senderErrorDetails}`;
-            } else if (senderStatus === 'already_exists') {
-                emailContent += `
-
-      Note: This email already exists in Sender.net.`;
-            }
-
-            await resend.emails.send({
-                from: 'contact@send.ibuildwith.ai',
-                to: process.env.RECIPIENT_EMAIL,
-                subject: senderStatus === 'failed'
-                    ? `⚠️ Newsletter Signup - MANUAL ADD REQUIRED - ${firstName} ${lastName}`
-                    : `New Newsletter Signup from ${firstName} ${lastName}`,
-                text: emailContent,
-            });
-        } catch (resendError) {
-            console.error('Resend notification email error:', resendError);
-            // Don't fail the request if notification email fails
-        }
+        await emitEvent('newsletter.signup', {
+            submission: submission.key,
+            firstName,
+            lastName,
+            email,
+            alreadyConfirmed: subscription.status === 'confirmed',
+            attribution: ctx.attribution
+        }, { submissionKey: submission.key });
 
         return {
             statusCode: 200,
-            headers,
-            body: JSON.stringify({ success: true, message: 'Successfully subscribed' })
-        };
-
-    } catch (error) {
-        console.error('Error processing newsletter signup:', error);
-        return {
-            statusCode: 500,
-            headers,
-            body: JSON.stringify({ error: 'Internal Server Error' })
+            body: { success: true, message: 'Please check your email to confirm your subscription' }
         };
     }
-};
+});
@@ -0,0 +1,28 @@
+const { createHandler } = require('../lib/pipeline');
+const { listRunnableJobs, runJob, deleteExpiredJobs } = require('../lib/jobs');
+
+// Scheduled function (see netlify.toml) that retries failed email and Sender.net deliveries.
+// Backoff and dead-lettering are handled by runJob(). Also deletes expired finished jobs.
+
+exports.default = createHandler({
+  name: 'process-queue',
+  handler: async ({ log }) => {
+    const jobs = await listRunnableJobs();
+    log.info('Jobs ready', { count: jobs.length });
+
+    const counts = { done: 0, pending: 0, dead: 0 };
+
+    for (const job of jobs) {
+      const result = await runJob(job);
+      counts[result.status] = (counts[result.status] || 0) + 1;
+    }
+
+    counts.expired = await deleteExpiredJobs();
+    log.info('Finished', counts);
+
+    return {
+      statusCode: 200,
+      body: counts
+    };
+  }
+});
@@ -1,170 +1,159 @@
-const { Resend } = require('resend');
-
-// Rate limiting storage (in-memory, resets on function cold start)
-const rateLimitStore = new Map();
-
-exports.handler = async (event, context) => {
-  // CORS headers for all responses - Allow both www and non-www domains
-  const origin = event.headers.origin || event.headers.Origin;
-  const allowedOrigins = ['https://ibuildwith.ai', 'https://www.ibuildwith.ai'];
-  const corsOrigin = allowedOrigins.includes(origin) ? origin : 'https://ibuildwith.ai';
-
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': corsOrigin,
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Max-Age': '86400'
-  };
-
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    console.log('[REMINDER-FORM] Handling OPTIONS preflight request');
-    return {
-      statusCode: 200,
-      headers: corsHeaders,
-      body: ''
-    };
+const { createHandler, formSteps } = require('../lib/pipeline');
+const { createReminder, reminderCalendarEvent, formatReminderTime } = require('../lib/reminders');
+const { googleCalendarUrl, outlookCalendarUrl, icsAttachment } = require('../lib/calendar');
+const { createPendingSubscription, confirmationUrl, unsubscribeUrl, listUnsubscribeHeaders } = require('../lib/subscriptions');
+const { recordSubmission } = require('../lib/submissions');
+const { tagsForSource } = require('../lib/mailing-list');
+const { enqueueAndRun } = require('../lib/jobs');
+const { fromAddress } = require('../lib/mailer');
+const { renderEmail } = require('../lib/email-templates');
+const { emitEvent } = require('../lib/events');
+const { getSuppression } = require('../lib/suppressions');
+const { isAllowedPageUrl, episodesFeedConfigured, findEpisode } = require('../lib/episodes');
+
+const reminderSchema = {
+  firstName: { type: 'string', required: true, maxLength: 100 },
+  lastName: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'string', required: true, maxLength: 254, format: 'email' },
+  // Only pages on our own site, so reminders can't be used to email arbitrary links
+  pageUrl: {
+    type: 'string',
+    required: true,
+    maxLength: 2048,
+    format: 'url',
+    check: (value) => (isAllowedPageUrl(value)
+      ? null
+      : { code: 'not_allowed', message: 'pageUrl must be a page on iBuildWith.ai' })
+  },
+  // Required without EPISODES_FEED_URL; with it, defaults to an hour before the episode airs and
+  // must not be later than that (see resolveEpisode()). The page title and the episode start
+  // only come from the feed, never from the client.
+  remindAt: {
+    type: 'string',
+    maxLength: 64,
+    format: 'datetime',
+    check: (value) => (new Date(value).getTime() <= Date.now()
+      ? { code: 'past', message: 'remindAt must be in the future' }
+      : null)
+  },
+  // How long the episode runs, for the calendar invite
+  durationMinutes: {
+    type: 'number',
+    check: (value) => (!Number.isInteger(value) || value < 1 || value > 24 * 60
+      ? { code: 'range', message: 'durationMinutes must be a whole number between 1 and 1440' }
+      : null)
   }
-
-  // Only allow POST requests
-  if (event.httpMethod !== 'POST') {
-    console.log(`[REMINDER-FORM] Method not allowed: ${event.httpMethod}`);
-    return {
-      statusCode: 405,
-      headers: corsHeaders,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
-  }
-
-  try {
-    // Check for trusted API key (e.g., VAPI voice agent)
-    const apiKey = event.headers['x-api-key'];
-    const isTrustedCaller = apiKey && apiKey === process.env.VAPI_API_KEY;
-
-    // Rate limiting by IP (skip for trusted callers)
-    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
-    const now = Date.now();
-    const windowMs = 60 * 60 * 1000; // 1 hour
-    const maxRequests = 3; // Reduced from 5 for better security
-
-    console.log(`[REMINDER-FORM] Processing request from IP: ${clientIP}, trusted: ${isTrustedCaller}`);
-
-    if (!isTrustedCaller) {
-      if (rateLimitStore.has(clientIP)) {
-        const { count, firstRequest } = rateLimitStore.get(clientIP);
-
-        if (now - firstRequest < windowMs) {
-          if (count >= maxRequests) {
-            console.log(`[REMINDER-FORM] Rate limit exceeded for IP: ${clientIP}`);
-            return {
-              statusCode: 429,
-              headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                error: 'Too many requests. Please wait before submitting again.'
-              })
-            };
-          }
-          rateLimitStore.set(clientIP, { count: count + 1, firstRequest });
-        } else {
-          // Reset the window
-          rateLimitStore.set(clientIP, { count: 1, firstRequest: now });
-        }
-      } else {
-        rateLimitStore.set(clientIP, { count: 1, firstRequest: now });
+};
+
+const DEFAULT_REMINDER_LEAD_MS = 60 * 60 * 1000; // remind an hour before the episode airs
+
+function invalidField(ctx, fieldError) {
+  ctx.log.info('Validation failed', { fields: [`${fieldError.field} (${fieldError.code})`], pageUrl: ctx.values.pageUrl });
+  return { statusCode: 422, body: { error: 'Validation failed', fields: [fieldError] } };
+}
+
+// Looks the page up in the episodes feed (see episodes.js) and rejects unknown or already-aired
+// episodes and reminders set after the air date; sets ctx.episode and ctx.remindAt.
+// Without EPISODES_FEED_URL only the page URL allow-list applies and remindAt is required.
+function resolveEpisode() {
+  return async (ctx) => {
+    ctx.episode = null;
+    ctx.remindAt = ctx.values.remindAt;
+
+    if (!episodesFeedConfigured()) {
+      if (!ctx.remindAt) {
+        return invalidField(ctx, { field: 'remindAt', code: 'required', message: 'remindAt is required' });
       }
+      return;
     }
 
-    // Parse form data
-    const formData = JSON.parse(event.body);
-    console.log('[REMINDER-FORM] Form data received:', {
-      firstName: formData.firstName,
-      lastName: formData.lastName,
-      email: formData.email,
-      pageUrl: formData.pageUrl ? formData.pageUrl.substring(0, 100) + '...' : 'not provided',
-      pageTitle: formData.pageTitle || 'not provided'
-    });
-
-    // Validate required fields
-    const { firstName, lastName, email, pageUrl, pageTitle } = formData;
-
-    if (!firstName || !lastName || !email) {
-      console.log('[REMINDER-FORM] Missing required fields');
-      return {
-        statusCode: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          error: 'Missing required fields: firstName, lastName, email'
-        })
-      };
+    let episode;
+    try {
+      episode = await findEpisode(ctx.values.pageUrl);
+    } catch (error) {
+      ctx.log.error('Episodes feed unavailable', { error });
+      return { statusCode: 503, body: { error: 'Episode information is temporarily unavailable. Please try again later.' } };
     }
 
-    // Basic email validation - requires valid TLD (min 2 characters)
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[a-zA-Z]{2,}$/;
-    if (!emailRegex.test(email)) {
-      console.log(`[REMINDER-FORM] Invalid email format: ${email}`);
-      return {
-        statusCode: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          error: 'Invalid email format'
-        })
-      };
+    if (!episode) {
+      return invalidField(ctx, { field: 'pageUrl', code: 'unknown_episode', message: 'pageUrl is not a known episode' });
     }
 
-    // Add to Sender.net and track status
-    let senderStatus = 'success';
-    let senderErrorDetails = '';
+    const airsAt = new Date(episode.airsAt).getTime();
+    if (airsAt <= Date.now()) {
+      return invalidField(ctx, { field: 'pageUrl', code: 'already_aired', message: 'This episode has already aired' });
+    }
+    if (ctx.remindAt && new Date(ctx.remindAt).getTime() > airsAt) {
+      return invalidField(ctx, { field: 'remindAt', code: 'after_start', message: 'remindAt must not be after the episode airs' });
+    }
 
-    if (process.env.SENDER_API_TOKEN) {
-      try {
-        console.log(`[REMINDER-FORM] Adding ${email} to Sender.net`);
-        const addSubscriberResponse = await fetch('https://api.sender.net/v2/subscribers', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${process.env.SENDER_API_TOKEN}`,
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          },
-          body: JSON.stringify({
-            email: email,
-            firstname: firstName,
-            lastname: lastName
-          }),
-          signal: AbortSignal.timeout(5000) // 5 second timeout
-        });
+    ctx.episode = episode;
+    ctx.remindAt = ctx.remindAt || new Date(Math.max(airsAt - DEFAULT_REMINDER_LEAD_MS, Date.now())).toISOString();
+  };
+}
+
+exports.default = createHandler({
+  name: 'reminder-form',
+  steps: [...formSteps(reminderSchema), resolveEpisode()],
+  handler: async (ctx) => {
+    const { firstName, lastName, email, durationMinutes } = ctx.values;
+    const { remindAt } = ctx;
+    // Episode details only come from the feed; without it the emails and invite use the page URL
+    const pageUrl = ctx.episode ? ctx.episode.url : ctx.values.pageUrl;
+    const pageTitle = ctx.episode ? ctx.episode.title : null;
+    const startsAt = ctx.episode ? ctx.episode.airsAt : null;
+    const episodeDescription = ctx.episode && ctx.episode.description;
+    ctx.log.info('Reminder request received', {
+      ip: ctx.clientIP,
+      trusted: ctx.isTrustedCaller,
+      pageUrl: pageUrl || null,
+      remindAt,
+      startsAt: startsAt || null
+    });
 
-        const subscriberData = await addSubscriberResponse.json();
+    // Persist the submission before attempting any delivery
+    const submission = await recordSubmission('reminder-form', { ...ctx.values, pageUrl, pageTitle, remindAt, startsAt }, {
+      ip: ctx.clientIP,
+      userAgent: ctx.event.headers['user-agent'] || null,
+      trusted: ctx.isTrustedCaller,
+      apiKey: ctx.apiKey ? ctx.apiKey.name : null,
+      attribution: ctx.attribution
+    });
 
-        if (!addSubscriberResponse.ok) {
-          // Check if subscriber already exists
-          if (addSubscriberResponse.status === 422 ||
-              (subscriberData.message && subscriberData.message.includes('already exists'))) {
-            console.log(`[REMINDER-FORM] Email ${email} is already subscribed to Sender.net.`);
-            senderStatus = 'already_exists';
-          } else {
-            senderStatus = 'failed';
-            senderErrorDetails = `Status: ${addSubscriberResponse.status}, Message: ${subscriberData.message || addSubscriberResponse.statusText}`;
-            console.error(`[REMINDER-FORM] Sender.net API error: ${subscriberData.message || addSubscriberResponse.statusText}`);
-          }
-        } else {
-          console.log(`[REMINDER-FORM] Successfully added ${email} to Sender.net`);
-          senderStatus = 'success';
-        }
-      } catch (senderError) {
-        console.error('[REMINDER-FORM] Sender.net Error:', senderError);
-        senderStatus = 'failed';
-        if (!senderErrorDetails) {
-          senderErrorDetails = senderError.message;
-        }
-      }
-    } else {
-      console.warn('[REMINDER-FORM] Sender.net API token not set. Skipping Sender.net integration.');
-      senderStatus = 'skipped';
+    // Store the reminder so send-reminders can deliver it when it is due
+    const reminder = await createReminder({
+      email,
+      firstName,
+      lastName,
+      pageUrl,
+      pageTitle,
+      remindAt,
+      startsAt,
+      durationMinutes,
+      episodeDescription
+    });
+    const calendarEvent = reminderCalendarEvent(reminder);
+    ctx.log.info('Stored reminder', { reminderId: reminder.id, remindAt: reminder.remindAt });
+
+    // Newsletter signups go through double opt-in; Sender.net is only updated once confirmed
+    const subscription = await createPendingSubscription({
+      email,
+      firstName,
+      lastName,
+      source: 'reminder',
+      submissionKey: submission.key
+    });
+    const subscriptionStatus = subscription.status === 'confirmed' ? 'already confirmed' : 'pending confirmation';
+    ctx.log.info('Newsletter subscription checked', { email, subscriptionStatus });
+
+    // Existing subscribers are tagged as podcast listeners right away (their confirmed name is kept)
+    if (subscription.status === 'confirmed') {
+      await enqueueAndRun('tag-subscriber', {
+        email,
+        tags: tagsForSource('reminder')
+      }, { submissionKey: submission.key });
     }
 
-    // Initialize Resend
-    const resend = new Resend(process.env.RESEND_API_KEY);
-
     // Get current timestamp
     const timestamp = new Date().toLocaleString('en-US', {
       timeZone: 'America/Los_Angeles',
@@ -177,110 +166,89 @@ exports.handler = async (event, context) => {
     });
 
     // Prepare email content for user
-    const userEmailSubject = 'Your iBuildWith.ai reminder is set!';
-    const userEmailContent = `Hi ${firstName},
-
-Your reminder is set! Here are the details:
-
-Your name: ${firstName} ${lastName}
-Your email: ${email}
-
-The page you requested a reminder for:
-
-${(pageTitle || 'Page title not available').replace('| iBuildWith.ai', '').trim()}
-${pageUrl || 'Page URL not available'}
-
-Learn more at iBuildWith.ai`;
-
-    // Prepare admin notification email with Sender.net status
-    let adminEmailContent = `
-New Podcast Reminder Request:
-
-First Name: ${firstName}
-Last Name: ${lastName}
-Email: ${email}
-
-Podcast Page:
-${(pageTitle || 'Page title not available').replace('| iBuildWith.ai', '').trim()}
-${pageUrl || 'Page URL not available'}
-
-Date: ${timestamp}
-
-Sender.net Status: ${senderStatus}`;
-
-    if (senderStatus === 'failed') {
-      adminEmailContent += `
-
-⚠️ ACTION REQUIRED: Failed to add subscriber to Sender.net
-Please manually add this subscriber to your Sender.net list.
-
-Error Details: ${senderErrorDetails}`;
-    } else if (senderStatus === 'already_exists') {
-      adminEmailContent += `
-
-Note: This email already exists in Sender.net.`;
-    }
-
-    console.log(`[REMINDER-FORM] Sending reminder confirmation email to: ${email}`);
+    const userEmail = renderEmail('reminder-confirmation', {
+      firstName,
+      lastName,
+      email,
+      pageTitle,
+      pageUrl,
+      episodeDescription,
+      remindAt: formatReminderTime(reminder.remindAt),
+      startsAt: reminder.startsAt && formatReminderTime(reminder.startsAt),
+      googleCalendarUrl: googleCalendarUrl(calendarEvent),
+      outlookCalendarUrl: outlookCalendarUrl(calendarEvent),
+      confirmationUrl: subscription.status === 'confirmed' ? null : confirmationUrl(email),
+      unsubscribeUrl: unsubscribeUrl(email)
+    });
 
-    // Send email to user
-    const { data, error } = await resend.emails.send({
-      from: 'contact@send.ibuildwith.ai',
-      to: [email],
-      subject: userEmailSubject,
-      text: userEmailContent
+    // Prepare admin notification email
+    const adminEmail = renderEmail('reminder-admin-notification', {
+      firstName,
+      lastName,
+      email,
+      pageTitle,
+      pageUrl,
+      remindAt: formatReminderTime(reminder.remindAt),
+      startsAt: reminder.startsAt && formatReminderTime(reminder.startsAt),
+      timestamp,
+      newsletterStatus: subscriptionStatus,
+      suppression: await getSuppression(email)
     });
 
-    if (error) {
-      console.error('[REMINDER-FORM] Resend error:', error);
-      return {
-        statusCode: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          error: 'Failed to send email. Please try again later.'
-        })
-      };
+    // Send email to user (retried by process-queue if every email provider fails)
+    const userEmailJob = await enqueueAndRun('send-email', {
+      from: fromAddress('reminders'),
+      to: [email],
+      subject: userEmail.subject,
+      text: userEmail.text,
+      html: userEmail.html,
+      headers: listUnsubscribeHeaders(email),
+      attachments: [icsAttachment(calendarEvent, 'podcast-reminder.ics')]
+    }, { submissionKey: submission.key });
+
+    if (userEmailJob.status === 'done') {
+      ctx.log.info('User confirmation email sent', userEmailJob.result);
+    } else {
+      ctx.log.warn('User confirmation email queued for retry', { jobId: userEmailJob.id, error: userEmailJob.lastError });
     }
 
-    console.log('[REMINDER-FORM] User confirmation email sent successfully:', data);
-
-    // Send separate admin notification with Sender.net status
-    try {
-      await resend.emails.send({
-        from: 'contact@send.ibuildwith.ai',
-        to: [process.env.REMINDER_ADMIN_EMAIL],
-        subject: senderStatus === 'failed'
-          ? `⚠️ Podcast Reminder - MANUAL ADD REQUIRED - ${firstName} ${lastName}`
-          : `New Podcast Reminder from ${firstName} ${lastName}`,
-        text: adminEmailContent
-      });
-      console.log('[REMINDER-FORM] Admin notification sent successfully');
-    } catch (adminEmailError) {
-      console.error('[REMINDER-FORM] Admin notification email error:', adminEmailError);
-      // Don't fail the request if admin notification fails
+    // Send separate admin notification
+    const adminEmailJob = await enqueueAndRun('send-email', {
+      from: fromAddress('reminders'),
+      to: [process.env.REMINDER_ADMIN_EMAIL],
+      subject: adminEmail.subject,
+      text: adminEmail.text,
+      html: adminEmail.html
+    }, { submissionKey: submission.key });
+
+    if (adminEmailJob.status === 'done') {
+      ctx.log.info('Admin notification sent', adminEmailJob.result);
+    } else {
+      ctx.log.warn('Admin notification queued for retry', { jobId: adminEmailJob.id, error: adminEmailJob.lastError });
     }
 
-    console.log(`[REMINDER-FORM] Reminder set for ${firstName} ${lastName} (${email}) on page: ${pageTitle}`);
+    await emitEvent('reminder.created', {
+      submission: submission.key,
+      reminderId: reminder.id,
+      firstName,
+      lastName,
+      email,
+      pageUrl: pageUrl || null,
+      pageTitle: pageTitle || null,
+      remindAt: reminder.remindAt,
+      startsAt: reminder.startsAt,
+      attribution: ctx.attribution
+    }, { submissionKey: submission.key });
+
+    ctx.log.info('Reminder set', { reminderId: reminder.id, submission: submission.key });
 
     // Return success response
     return {
       statusCode: 200,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
+      body: {
         success: true,
         message: 'Your reminder has been set successfully!'
-      })
-    };
-
-  } catch (error) {
-    console.error('[REMINDER-FORM] Function error:', error);
-
-    return {
-      statusCode: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        error: 'Internal server error. Please try again later.'
-      })
+      }
     };
   }
-};
\ No newline at end of file
+});
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { createHandler, steps } = require('../lib/pipeline');
+const { suppress, isInternalAddress } = require('../lib/suppressions');
+const { getSubscription, recordOptOut } = require('../lib/subscriptions');
+const { cancelRemindersFor } = require('../lib/reminders');
+
+// Receives Resend delivery webhooks (email.delivered, email.bounced, email.complained).
+// Hard bounces and spam complaints put the recipient on the suppression list, which every
+// send path respects (see mailer.js), and cancel their pending reminders. Only external
+// recipients are suppressed: a bounce from one of our own inboxes (admin or contact route
+// addresses) is logged as an error to fix instead.
+//
+// Resend signs webhooks with Svix: svix-id, svix-timestamp and svix-signature headers,
+// where the signature is base64 HMAC-SHA256 of `${id}.${timestamp}.${body}` keyed with the
+// base64 part of RESEND_WEBHOOK_SECRET ("whsec_...").
+
+const TOLERANCE_SECONDS = 5 * 60;
+
+function rawBody(event) {
+  return event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body || '';
+}
+
+function isValidSignature(event) {
+  const secret = process.env.RESEND_WEBHOOK_SECRET;
+  const headers = event.headers;
+  const id = headers['svix-id'];
+  const timestamp = headers['svix-timestamp'];
+  const signatures = headers['svix-signature'];
+
+  if (!secret || !id || !timestamp || !signatures) {
+    return false;
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const expected = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody(event)}`).digest();
+
+  // The header may hold several space-separated "v1,<signature>" entries during secret rotation
+  return signatures.split(' ').some((entry) => {
+    const [version, signature] = entry.split(',');
+    const candidate = Buffer.from(signature || '', 'base64');
+    return version === 'v1' && candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+}
+
+function verifySignature() {
+  return (ctx) => {
+    if (!isValidSignature(ctx.event)) {
+      ctx.log.warn('Rejected webhook with invalid signature');
+      return { statusCode: 401, body: { error: 'Invalid signature' } };
+    }
+  };
+}
+
+async function optOut(email, reason, details) {
+  await suppress(email, reason, { source: 'resend', details });
+  const cancelledReminders = await cancelRemindersFor(email);
+
+  if (await getSubscription(email)) {
+    await recordOptOut(email, reason, 'resend');
+  }
+  return cancelledReminders;
+}
+
+// Recipients outside our own inboxes (see suppressions.js)
+function externalRecipients(recipients, log, type) {
+  return recipients.filter((email) => {
+    if (isInternalAddress(email)) {
+      log.error('Internal address bounced or complained, not suppressed', { email, type });
+      return false;
+    }
+    return true;
+  });
+}
+
+exports.default = createHandler({
+  name: 'resend-webhook',
+  steps: [steps.allowMethods('POST'), verifySignature(), steps.parseJson()],
+  handler: async ({ body, log }) => {
+    const data = body.data || {};
+    const recipients = [].concat(data.to || []);
+
+    switch (body.type) {
+      case 'email.bounced': {
+        const bounce = data.bounce || {};
+        if (bounce.type === 'Transient') {
+          log.info('Transient bounce', { emailId: data.email_id, recipients, bounce });
+          break;
+        }
+        for (const email of externalRecipients(recipients, log, body.type)) {
+          const cancelledReminders = await optOut(email, 'bounced', bounce.message || bounce.subType || null);
+          log.warn('Suppressed bounced address', { email, emailId: data.email_id, cancelledReminders });
+        }
+        break;
+      }
+
+      case 'email.complained':
+        for (const email of externalRecipients(recipients, log, body.type)) {
+          const cancelledReminders = await optOut(email, 'complained', null);
+          log.warn('Suppressed address after spam complaint', { email, emailId: data.email_id, cancelledReminders });
+        }
+        break;
+
+      case 'email.delivered':
+        log.info('Email delivered', { emailId: data.email_id, recipients });
+        break;
+
+      default:
+        log.info('Ignored webhook', { type: body.type });
+    }
+
+    return { statusCode: 200, body: { received: true } };
+  }
+});
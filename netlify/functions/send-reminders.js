@@ -0,0 +1,70 @@
+const { createHandler } = require('../lib/pipeline');
+const { listDueReminders, markReminderSent, markReminderFailed, markReminderSuppressed } = require('../lib/reminders');
+const { unsubscribeUrl, listUnsubscribeHeaders } = require('../lib/subscriptions');
+const { renderEmail } = require('../lib/email-templates');
+const { sendEmail, fromAddress } = require('../lib/mailer');
+
+// Scheduled function (see netlify.toml) that delivers podcast reminders once they are due.
+// Each reminder is marked as sent right after delivery so it is never sent twice.
+
+exports.default = createHandler({
+  name: 'send-reminders',
+  handler: async ({ log }) => {
+    const dueReminders = await listDueReminders();
+    log.info('Reminders due', { count: dueReminders.length });
+
+    if (dueReminders.length === 0) {
+      return { statusCode: 200, body: { sent: 0, failed: 0, suppressed: 0 } };
+    }
+
+    let sent = 0;
+    let failed = 0;
+    let suppressed = 0;
+
+    for (const reminder of dueReminders) {
+      const reminderEmail = renderEmail('reminder-delivery', {
+        firstName: reminder.firstName,
+        pageTitle: reminder.pageTitle,
+        pageUrl: reminder.pageUrl,
+        unsubscribeUrl: unsubscribeUrl(reminder.email)
+      });
+
+      try {
+        const result = await sendEmail({
+          from: fromAddress('reminders'),
+          to: [reminder.email],
+          subject: reminderEmail.subject,
+          text: reminderEmail.text,
+          html: reminderEmail.html,
+          headers: listUnsubscribeHeaders(reminder.email)
+        });
+
+        if (!result.messageId && result.suppressed.length) {
+          await markReminderSuppressed(reminder);
+          suppressed++;
+          log.info('Skipped reminder for suppressed address', { reminderId: reminder.id });
+          continue;
+        }
+
+        await markReminderSent(reminder, result.messageId);
+        sent++;
+        log.info('Sent reminder', { reminderId: reminder.id, messageId: result.messageId });
+      } catch (sendError) {
+        const updated = await markReminderFailed(reminder, sendError.message);
+        failed++;
+        // Provider errors are already reported by the mailer
+        log.warn('Failed to send reminder', {
+          reminderId: reminder.id,
+          attempts: updated.attempts,
+          status: updated.status,
+          error: sendError.message
+        });
+      }
+    }
+
+    return {
+      statusCode: 200,
+      body: { sent, failed, suppressed }
+    };
+  }
+});
@@ -0,0 +1,77 @@
+const { createHandler, steps } = require('../lib/pipeline');
+const { recordOptOut, getSubscription } = require('../lib/subscriptions');
+const { cancelRemindersFor } = require('../lib/reminders');
+const { safeEqual } = require('../lib/admin-auth');
+const { suppress } = require('../lib/suppressions');
+
+// Receives Sender.net webhooks and mirrors opt-outs into our subscription records,
+// cancelling pending podcast reminders so we never email someone who opted out.
+// Bounces and spam complaints also add the address to the suppression list.
+//
+// Sender.net does not sign webhook requests, so the URL configured in Sender.net carries a
+// shared secret: /.netlify/functions/sender-webhook?secret=<SENDER_WEBHOOK_SECRET>
+//
+// Topic -> local status:
+//   subscribers/unsubscribed, groups/unsubscribed -> 'unsubscribed'
+//   *bounce*                                      -> 'bounced'
+//   *spam* / *complain*                           -> 'complained'
+// Other topics are acknowledged and ignored.
+
+const TOPIC_STATUSES = [
+  [/unsubscrib/i, 'unsubscribed'],
+  [/bounce/i, 'bounced'],
+  [/spam|complain/i, 'complained']
+];
+
+function statusForTopic(topic) {
+  const match = TOPIC_STATUSES.find(([pattern]) => pattern.test(topic || ''));
+  return match ? match[1] : null;
+}
+
+function emailFrom(body) {
+  const data = body.data || {};
+  return data.email || (data.subscriber && data.subscriber.email) || body.email || null;
+}
+
+function verifySecret() {
+  return (ctx) => {
+    const secret = (ctx.event.queryStringParameters || {}).secret || '';
+
+    if (!process.env.SENDER_WEBHOOK_SECRET || !safeEqual(secret, process.env.SENDER_WEBHOOK_SECRET)) {
+      ctx.log.warn('Rejected webhook with invalid secret', { ip: ctx.event.headers['x-forwarded-for'] });
+      return { statusCode: 401, body: { error: 'Unauthorized' } };
+    }
+  };
+}
+
+exports.default = createHandler({
+  name: 'sender-webhook',
+  steps: [steps.allowMethods('POST'), verifySecret(), steps.parseJson()],
+  handler: async ({ body, log }) => {
+    const topic = body.topic || body.event || body.type;
+    const status = statusForTopic(topic);
+    const email = emailFrom(body);
+
+    if (!status || !email) {
+      log.info('Ignored webhook', { topic, hasEmail: Boolean(email) });
+      return { statusCode: 200, body: { received: true, ignored: true } };
+    }
+
+    const existing = await getSubscription(email);
+    await recordOptOut(email, status, 'sender');
+    const cancelledReminders = await cancelRemindersFor(email);
+    if (status !== 'unsubscribed') {
+      await suppress(email, status, { source: 'sender', details: topic });
+    }
+
+    log.info('Synced opt-out from Sender.net', {
+      email,
+      topic,
+      status,
+      previousStatus: existing ? existing.status : null,
+      cancelledReminders
+    });
+
+    return { statusCode: 200, body: { received: true, status } };
+  }
+});
@@ -0,0 +1,98 @@
+const { createHandler, steps } = require('../lib/pipeline');
+const { verifyToken } = require('../lib/tokens');
+const { mailingList } = require('../lib/mailing-list');
+const { unsubscribe, deleteSubscription } = require('../lib/subscriptions');
+const { cancelRemindersFor } = require('../lib/reminders');
+const { eraseSubmissionsFor } = require('../lib/submissions');
+const { eraseJobsFor } = require('../lib/jobs');
+const { eraseQuarantinedFor } = require('../lib/bot-check');
+const { htmlResponse } = require('../lib/html-response');
+const { sendEmail, fromAddress } = require('../lib/mailer');
+const { renderEmail } = require('../lib/email-templates');
+
+// Signed unsubscribe / data-deletion link, carried in the List-Unsubscribe header of our emails.
+// GET shows a confirmation page (so link scanners can't unsubscribe anyone);
+// POST performs the action: RFC 8058 one-click ("List-Unsubscribe=One-Click") or the page's form.
+// action=erase deletes the contact from Sender.net and all of our records instead of unsubscribing:
+// subscription, reminders, submissions, delivery jobs and quarantined submissions. The suppression
+// list keeps bounced or complained addresses so we never email them again.
+
+function parseFormBody(event) {
+  if (!event.body) {
+    return new URLSearchParams();
+  }
+  const body = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+  return new URLSearchParams(body);
+}
+
+exports.default = createHandler({
+  name: 'unsubscribe',
+  steps: [steps.allowMethods('GET', 'POST')],
+  handler: async ({ event, log }) => {
+    const token = (event.queryStringParameters || {}).token;
+    const payload = verifyToken('unsubscribe', token);
+
+    if (!payload) {
+      log.info('Invalid or expired token');
+      return htmlResponse(400, 'Invalid link', 'This unsubscribe link is invalid. Please use the link from your most recent email.');
+    }
+
+    if (event.httpMethod === 'GET') {
+      const action = `/.netlify/functions/unsubscribe?token=${encodeURIComponent(token)}`;
+      return htmlResponse(200, 'Unsubscribe', 'Do you want to stop receiving emails from iBuildWith.ai?', `<form method="post" action="${action}">
+<button type="submit" name="action" value="unsubscribe">Unsubscribe</button>
+<button type="submit" name="action" value="erase">Unsubscribe and delete my data</button>
+</form>`);
+    }
+
+    const erase = parseFormBody(event).get('action') === 'erase';
+    const { email } = payload;
+
+    try {
+      const provider = mailingList();
+      const { status: senderStatus, errorDetails: senderErrorDetails } = erase
+        ? await provider.deleteSubscriber(email)
+        : await provider.unsubscribeSubscriber(email);
+
+      if (senderStatus === 'failed') {
+        log.warn(`${provider.name} update failed`, { email, error: senderErrorDetails });
+        return htmlResponse(502, 'Something went wrong', 'We couldn\'t process your request right now. Please try again later.');
+      }
+
+      const cancelledReminders = await cancelRemindersFor(email, { erase });
+      if (erase) {
+        await deleteSubscription(email);
+        const submissionKeys = await eraseSubmissionsFor(email);
+        const erasedJobs = await eraseJobsFor(email, submissionKeys);
+        const erasedQuarantine = await eraseQuarantinedFor(email);
+        log.info('Erased', { email, provider: provider.name, senderStatus, cancelledReminders, erasedSubmissions: submissionKeys.length, erasedJobs, erasedQuarantine });
+      } else {
+        await unsubscribe(email);
+        log.info('Unsubscribed', { email, provider: provider.name, senderStatus, cancelledReminders });
+      }
+
+      // Acknowledge the request
+      try {
+        const acknowledgement = renderEmail('unsubscribe-acknowledgement', { erased: erase });
+        await sendEmail({
+          from: fromAddress('newsletter'),
+          to: [email],
+          subject: acknowledgement.subject,
+          text: acknowledgement.text,
+          html: acknowledgement.html
+        });
+      } catch (emailError) {
+        log.error('Acknowledgement email error', { error: emailError });
+        // Don't fail the request if the acknowledgement fails
+      }
+
+      return erase
+        ? htmlResponse(200, 'Data deleted', 'You\'ve been unsubscribed and your data has been deleted.')
+        : htmlResponse(200, 'Unsubscribed', 'You\'ve been unsubscribed and any pending podcast reminders have been cancelled.');
+
+    } catch (error) {
+      log.error('Function error', { error });
+      return htmlResponse(500, 'Something went wrong', 'We couldn\'t process your request right now. Please try again later.');
+    }
+  }
+});
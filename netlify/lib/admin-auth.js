@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./tokens');
+
+// Admin endpoints accept `Authorization: Bearer <token>` where the token is either
+// ADMIN_API_SECRET itself or a signed 'admin' token from tokens.js (for short-lived access,
+// minted with `npm run admin-token`, see scripts/admin-token.js).
+
+const MAX_ADMIN_TOKEN_HOURS = 24;
+
+// Constant-time comparison of secrets of any length
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(a).digest();
+  const right = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+// Short-lived admin token, signed with TOKEN_SECRET
+function signAdminToken(hours = 1) {
+  if (!(hours > 0 && hours <= MAX_ADMIN_TOKEN_HOURS)) {
+    throw new Error(`Admin tokens last between 0 and ${MAX_ADMIN_TOKEN_HOURS} hours`);
+  }
+  return signToken('admin', {}, Math.round(hours * 60 * 60));
+}
+
+function isAdminRequest(event) {
+  const authorization = event.headers.authorization || event.headers.Authorization || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+
+  if (!match) {
+    return false;
+  }
+
+  const token = match[1].trim();
+  if (process.env.ADMIN_API_SECRET && safeEqual(token, process.env.ADMIN_API_SECRET)) {
+    return true;
+  }
+
+  return Boolean(process.env.TOKEN_SECRET && verifyToken('admin', token));
+}
+
+module.exports = {
+  MAX_ADMIN_TOKEN_HOURS,
+  safeEqual,
+  signAdminToken,
+  isAdminRequest
+};
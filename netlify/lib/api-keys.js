@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// Named API keys for trusted server-to-server callers (VAPI voice agent, Zapier, ...).
+//
+// API_KEYS is a JSON array; only the SHA-256 hash of each key is stored:
+//   [{ "name": "vapi", "hash": "<sha256 hex>", "endpoints": ["reminder-form"],
+//      "rateLimit": { "limit": 100, "windowMs": 3600000 } }]
+//
+// endpoints  - functions the key may call ("*" for all)
+// rateLimit  - optional per-key limit (default: not rate limited)
+//
+// Rotation: add an entry with the same name and the new key's hash, move the caller to the
+// new key, then remove the old entry. Both keys work in between.
+// Generate a key and its hash with `npm run api-key`.
+//
+// The legacy VAPI_API_KEY is still accepted as a key named "vapi" for every endpoint.
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function configuredKeys() {
+  let keys = [];
+
+  if (process.env.API_KEYS) {
+    try {
+      keys = JSON.parse(process.env.API_KEYS);
+    } catch (error) {
+      throw new Error('API_KEYS is not valid JSON');
+    }
+  }
+
+  if (process.env.VAPI_API_KEY) {
+    keys = [...keys, { name: 'vapi', hash: hashApiKey(process.env.VAPI_API_KEY), endpoints: ['*'] }];
+  }
+  return keys;
+}
+
+// Returns the matching key entry or null. Every configured hash is compared in constant time.
+function findApiKey(presented) {
+  if (!presented) {
+    return null;
+  }
+
+  const presentedHash = Buffer.from(hashApiKey(presented), 'hex');
+  let match = null;
+
+  for (const key of configuredKeys()) {
+    const storedHash = Buffer.from(String(key.hash || ''), 'hex');
+    if (storedHash.length === presentedHash.length && crypto.timingSafeEqual(storedHash, presentedHash) && !match) {
+      match = key;
+    }
+  }
+  return match;
+}
+
+function isKeyAllowedFor(key, endpoint) {
+  const endpoints = key.endpoints || [];
+  return endpoints.includes('*') || endpoints.includes(endpoint);
+}
+
+module.exports = {
+  hashApiKey,
+  findApiKey,
+  isKeyAllowedFor
+};
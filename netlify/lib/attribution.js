@@ -0,0 +1,71 @@
+// Where a submission came from: UTM parameters, referrer and landing page.
+//
+// Every public form accepts these optional fields (see formSteps in pipeline.js):
+//   utmSource, utmMedium, utmCampaign, utmTerm, utmContent, referrer, landingPage
+// UTM values missing from the body are read from the landing page's query string.
+// They are stored on the submission as meta.attribution and summarised by admin-stats.
+
+const UTM_FIELDS = {
+  utmSource: 'utm_source',
+  utmMedium: 'utm_medium',
+  utmCampaign: 'utm_campaign',
+  utmTerm: 'utm_term',
+  utmContent: 'utm_content'
+};
+
+const attributionSchema = {
+  ...Object.fromEntries(Object.keys(UTM_FIELDS).map((field) => [field, { type: 'string', maxLength: 200 }])),
+  referrer: { type: 'string', maxLength: 2048, format: 'url' },
+  landingPage: { type: 'string', maxLength: 2048, format: 'url' }
+};
+
+const ATTRIBUTION_FIELDS = Object.keys(attributionSchema);
+
+function landingPageParams(landingPage) {
+  try {
+    return new URL(landingPage).searchParams;
+  } catch (error) {
+    return new URLSearchParams();
+  }
+}
+
+// Splits validated form values into the form's own fields and the attribution (null when empty)
+function extractAttribution(values) {
+  const fields = {};
+  const attribution = {};
+
+  for (const [field, value] of Object.entries(values)) {
+    if (ATTRIBUTION_FIELDS.includes(field)) {
+      attribution[field] = value;
+    } else {
+      fields[field] = value;
+    }
+  }
+
+  const params = landingPageParams(attribution.landingPage);
+  for (const [field, param] of Object.entries(UTM_FIELDS)) {
+    const value = (params.get(param) || '').trim().slice(0, 200);
+    if (!attribution[field] && value) {
+      attribution[field] = value;
+    }
+  }
+
+  return { fields, attribution: Object.keys(attribution).length ? attribution : null };
+}
+
+// Traffic source used for reporting: utm_source, else the referring host, else 'direct'
+function sourceOf(attribution) {
+  if (attribution && attribution.utmSource) {
+    return attribution.utmSource.toLowerCase();
+  }
+  if (attribution && attribution.referrer) {
+    return new URL(attribution.referrer).hostname.replace(/^www\./, '');
+  }
+  return 'direct';
+}
+
+module.exports = {
+  attributionSchema,
+  extractAttribution,
+  sourceOf
+};
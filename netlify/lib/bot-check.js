@@ -0,0 +1,191 @@
+const { openStore } = require('./store');
+const { mentionsEmail } = require('./submissions');
+const { validate } = require('./validation');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'bot-check' });
+
+// Bot protection for the public forms: honeypot field, minimum time-to-submit and
+// server-side CAPTCHA verification. Trusted callers (x-api-key) skip this entirely.
+//
+// Form fields:
+//   captchaToken  - widget response token (required when CAPTCHA_PROVIDER is set)
+//   website       - hidden honeypot input, must be left empty
+//   formStartedAt - ms timestamp when the form was rendered (checked when provided)
+//
+// Environment:
+//   CAPTCHA_PROVIDER - 'turnstile', 'hcaptcha' or 'recaptcha' (unset disables CAPTCHA)
+//   CAPTCHA_SECRET   - provider secret key
+//   BOT_CHECK_MODE   - 'reject' (default) or 'quarantine' to also keep failed submissions for review
+//
+// Quarantined submissions keep only the form's schema fields that pass validation (never the raw
+// body), are listed by the admin-quarantine function and expire after QUARANTINE_TTL_DAYS.
+
+const CAPTCHA_VERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify'
+};
+
+const HONEYPOT_FIELD = 'website';
+const MIN_SUBMIT_MS = 3000; // Humans take at least a few seconds to fill a form
+const RECAPTCHA_MIN_SCORE = 0.5; // reCAPTCHA v3 only
+const QUARANTINE_TTL_DAYS = 30;
+
+async function verifyCaptcha(token, clientIP) {
+  const provider = process.env.CAPTCHA_PROVIDER;
+  const verifyUrl = CAPTCHA_VERIFY_URLS[provider];
+
+  if (!verifyUrl) {
+    throw new Error(`Unknown CAPTCHA_PROVIDER: ${provider}`);
+  }
+
+  const params = new URLSearchParams({ secret: process.env.CAPTCHA_SECRET, response: token });
+  if (clientIP && clientIP !== 'unknown') {
+    params.set('remoteip', clientIP);
+  }
+
+  const response = await fetch(verifyUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString(),
+    signal: AbortSignal.timeout(5000) // 5 second timeout
+  });
+  const result = await response.json();
+
+  if (!result.success) {
+    return false;
+  }
+
+  return typeof result.score !== 'number' || result.score >= RECAPTCHA_MIN_SCORE;
+}
+
+function quarantineStore() {
+  return openStore('quarantine');
+}
+
+// Keys are `<endpoint>/<receivedAt>-<random>`, so expiry can be checked without reading entries
+function isExpired(key) {
+  const receivedAt = key.slice(key.indexOf('/') + 1, key.indexOf('/') + 25);
+  return receivedAt < new Date(Date.now() - QUARANTINE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+async function deleteExpired(store, keys) {
+  const live = [];
+  for (const key of keys) {
+    if (isExpired(key)) {
+      await store.delete(key);
+    } else {
+      live.push(key);
+    }
+  }
+  return live;
+}
+
+async function quarantine(endpoint, reason, formData, clientIP, schema) {
+  const store = quarantineStore();
+  await deleteExpired(store, await store.list(`${endpoint}/`));
+
+  const { values, errors } = validate(schema, formData);
+  const receivedAt = new Date().toISOString();
+  const key = `${endpoint}/${receivedAt}-${Math.random().toString(36).slice(2, 8)}`;
+
+  await store.set(key, {
+    key,
+    endpoint,
+    reason,
+    clientIP,
+    receivedAt,
+    data: values,
+    invalidFields: errors.map((error) => error.field)
+  });
+}
+
+// Quarantined submissions for one endpoint (or every endpoint), newest first
+async function listQuarantined(endpoint = null) {
+  const store = quarantineStore();
+  const keys = await deleteExpired(store, await store.list(endpoint ? `${endpoint}/` : ''));
+  const entries = [];
+
+  for (const key of keys) {
+    const entry = await store.get(key);
+    if (entry) {
+      entries.push(entry);
+    }
+  }
+  return entries.sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+}
+
+async function getQuarantined(key) {
+  return quarantineStore().get(key);
+}
+
+async function deleteQuarantined(key) {
+  await quarantineStore().delete(key);
+}
+
+// Deletes quarantined submissions that mention the address; returns the number deleted
+async function eraseQuarantinedFor(email) {
+  const store = quarantineStore();
+  let erased = 0;
+
+  for (const key of await store.list()) {
+    const entry = await store.get(key);
+    if (entry && mentionsEmail(entry.data, email)) {
+      await store.delete(key);
+      erased++;
+    }
+  }
+
+  return erased;
+}
+
+// Returns { ok: true } or { ok: false, statusCode, reason, message }.
+// `schema` is the form's validation schema, used to pick what a quarantined submission keeps.
+async function verifyHuman(endpoint, formData, clientIP, schema = {}) {
+  let failure = null;
+
+  if (formData[HONEYPOT_FIELD]) {
+    failure = { statusCode: 403, reason: 'honeypot', message: 'Submission rejected.' };
+  } else if (formData.formStartedAt && Date.now() - Number(formData.formStartedAt) < MIN_SUBMIT_MS) {
+    failure = { statusCode: 403, reason: 'too_fast', message: 'Submission rejected. Please try again.' };
+  } else if (process.env.CAPTCHA_PROVIDER) {
+    if (!formData.captchaToken) {
+      failure = { statusCode: 400, reason: 'captcha_missing', message: 'CAPTCHA verification is required.' };
+    } else {
+      try {
+        if (!(await verifyCaptcha(formData.captchaToken, clientIP))) {
+          failure = { statusCode: 403, reason: 'captcha_failed', message: 'CAPTCHA verification failed. Please try again.' };
+        }
+      } catch (captchaError) {
+        log.error('CAPTCHA verification error', { error: captchaError });
+        failure = { statusCode: 403, reason: 'captcha_failed', message: 'CAPTCHA verification failed. Please try again.' };
+      }
+    }
+  }
+
+  if (!failure) {
+    return { ok: true };
+  }
+
+  log.info('Bot check failed', { endpoint, ip: clientIP, reason: failure.reason });
+
+  if (process.env.BOT_CHECK_MODE === 'quarantine') {
+    try {
+      await quarantine(endpoint, failure.reason, formData, clientIP, schema);
+    } catch (storeError) {
+      log.error('Failed to quarantine submission', { error: storeError });
+    }
+  }
+
+  return { ok: false, ...failure };
+}
+
+module.exports = {
+  HONEYPOT_FIELD,
+  verifyHuman,
+  listQuarantined,
+  getQuarantined,
+  deleteQuarantined,
+  eraseQuarantinedFor
+};
@@ -0,0 +1,109 @@
+// Calendar invites for podcast reminders: an iCalendar (RFC 5545) file with an alarm, plus
+// Google Calendar and Outlook "add to calendar" links.
+//
+// An event is { uid, title, description, url, startsAt (ISO), durationMinutes, alarmMinutes }.
+// All times are written in UTC so calendars convert them to the listener's own time zone.
+
+const DEFAULT_DURATION_MINUTES = 60;
+const DEFAULT_ALARM_MINUTES = 15;
+
+function endsAt(event) {
+  const minutes = event.durationMinutes || DEFAULT_DURATION_MINUTES;
+  return new Date(new Date(event.startsAt).getTime() + minutes * 60 * 1000).toISOString();
+}
+
+// 2026-03-04T17:00:00.000Z -> 20260304T170000Z
+function icsDate(isoDate) {
+  return new Date(isoDate).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(chunk + char) > (chunks.length ? 74 : 75)) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+function buildIcs(event) {
+  const alarmMinutes = event.alarmMinutes === undefined ? DEFAULT_ALARM_MINUTES : event.alarmMinutes;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//iBuildWith.ai//Podcast Reminders//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${icsDate(new Date().toISOString())}`,
+    `DTSTART:${icsDate(event.startsAt)}`,
+    `DTEND:${icsDate(endsAt(event))}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    event.url && `URL:${event.url}`,
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(event.title)}`,
+    `TRIGGER:-PT${alarmMinutes}M`,
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+}
+
+function googleCalendarUrl(event) {
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: event.title,
+    dates: `${icsDate(event.startsAt)}/${icsDate(endsAt(event))}`,
+    details: [event.description, event.url].filter(Boolean).join('\n\n')
+  });
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+function outlookCalendarUrl(event) {
+  const params = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: event.title,
+    startdt: new Date(event.startsAt).toISOString(),
+    enddt: endsAt(event),
+    body: [event.description, event.url].filter(Boolean).join('\n\n')
+  });
+  return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+}
+
+// Attachment in the mailer's message shape (base64 content, see mailer.js)
+function icsAttachment(event, filename = 'invite.ics') {
+  return {
+    filename,
+    content: Buffer.from(buildIcs(event)).toString('base64'),
+    content_type: 'text/calendar; charset=utf-8; method=PUBLISH'
+  };
+}
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  buildIcs,
+  googleCalendarUrl,
+  outlookCalendarUrl,
+  icsAttachment
+};
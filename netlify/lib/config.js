@@ -0,0 +1,94 @@
+const { configuredProviders } = require('./mailer');
+const { logger } = require('./logger');
+const { findApiKey } = require('./api-keys');
+const { EVENT_TYPES, configuredWebhooks, needsSecret } = require('./webhooks');
+const { contactRouteErrors } = require('./contact-routing');
+
+// Required environment variables, including those needed by the configured providers.
+// checkConfig() runs once per cold start (see pipeline.js) and from the health function.
+
+const ALWAYS_REQUIRED = ['URL', 'TOKEN_SECRET', 'RECIPIENT_EMAIL', 'REMINDER_ADMIN_EMAIL'];
+
+const EMAIL_PROVIDER_ENV = {
+  resend: ['RESEND_API_KEY'],
+  smtp: ['SMTP_HOST']
+};
+
+const MAILING_LIST_ENV = {
+  sender: ['SENDER_API_TOKEN']
+};
+
+function requiredEnv() {
+  const required = [...ALWAYS_REQUIRED];
+
+  for (const provider of configuredProviders()) {
+    required.push(...(EMAIL_PROVIDER_ENV[provider] || []));
+  }
+  required.push(...(MAILING_LIST_ENV[process.env.MAILING_LIST_PROVIDER || 'sender'] || []));
+
+  if (process.env.CAPTCHA_PROVIDER) {
+    required.push('CAPTCHA_SECRET');
+  }
+  return [...new Set(required)];
+}
+
+// Returns { ok, missing, errors, warnings }; errors are invalid settings such as an unknown
+// provider, warnings are supported but limited setups and don't affect `ok`
+function checkConfig() {
+  try {
+    const missing = requiredEnv().filter((name) => !process.env[name]);
+    findApiKey('config-check'); // throws when API_KEYS is malformed
+    const errors = [...webhookErrors(), ...contactRouteErrors()];
+    return { ok: missing.length === 0 && errors.length === 0, missing, errors, warnings: autoReplyWarnings() };
+  } catch (error) {
+    return { ok: false, missing: [], errors: [error.message], warnings: [] };
+  }
+}
+
+function webhookErrors() {
+  const errors = [];
+
+  for (const webhook of configuredWebhooks()) {
+    if (!webhook.name || !/^https:\/\//.test(webhook.url || '')) {
+      errors.push(`Webhook ${webhook.name || '(unnamed)'} needs a name and an https url`);
+    }
+    const unknown = (webhook.events || []).filter((type) => type !== '*' && !EVENT_TYPES.includes(type));
+    if (unknown.length) {
+      errors.push(`Webhook ${webhook.name} has unknown events: ${unknown.join(', ')}`);
+    }
+    if (needsSecret(webhook) && !webhook.secret) {
+      errors.push(`Webhook ${webhook.name} needs a secret to sign its events`);
+    }
+  }
+  return errors;
+}
+
+// Auto-replies to anonymous visitors are only sent with CAPTCHA enabled (see contact-form.js)
+function autoReplyWarnings() {
+  if (process.env.CONTACT_AUTO_REPLY === 'true' && !process.env.CAPTCHA_PROVIDER) {
+    return ['CONTACT_AUTO_REPLY is on without CAPTCHA_PROVIDER, so only trusted callers get auto-replies'];
+  }
+  return [];
+}
+
+let startupChecked = false;
+
+function warnOnInvalidConfig() {
+  if (startupChecked) {
+    return;
+  }
+  startupChecked = true;
+
+  const config = checkConfig();
+  if (!config.ok) {
+    logger.error('Invalid configuration', { missing: config.missing, errors: config.errors });
+  }
+  if (config.warnings.length) {
+    logger.warn('Configuration warnings', { warnings: config.warnings });
+  }
+}
+
+module.exports = {
+  checkConfig,
+  warnOnInvalidConfig
+};
@@ -0,0 +1,123 @@
+// Who receives a contact form message, by `reason`.
+//
+// CONTACT_ROUTES is a JSON object keyed by reason, plus an optional "default" route:
+//   { "sponsorship": { "to": ["sponsors@ibuildwith.ai"], "cc": ["team@ibuildwith.ai"],
+//                      "subjectPrefix": "[Sponsorship]" },
+//     "support":     { "to": "help@ibuildwith.ai", "bcc": ["archive@ibuildwith.ai"] },
+//     "default":     { "to": ["hello@ibuildwith.ai"] } }
+//
+// to, cc and bcc take an address or a list. A reason without a route uses "default";
+// a route without `to` (or no routes at all) sends to RECIPIENT_EMAIL. So does every message
+// while CONTACT_ROUTES is not a JSON object, so a typo never loses a message.
+
+const { EMAIL_REGEX } = require('./validation');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'contact-routing' });
+
+const ROUTE_FIELDS = ['to', 'cc', 'bcc', 'subjectPrefix'];
+
+// Allowed `reason` values from CONTACT_REASONS (comma-separated), or null to accept any reason
+// (the website's form decides what it sends)
+function contactReasons() {
+  const reasons = (process.env.CONTACT_REASONS || '').split(',').map((reason) => reason.trim()).filter(Boolean);
+  return reasons.length ? reasons : null;
+}
+
+// Validation check for the contact form's `reason` field (see validation.js)
+function checkReason(value) {
+  const reasons = contactReasons();
+  return reasons && !reasons.includes(value)
+    ? { code: 'one_of', message: `reason must be one of: ${reasons.join(', ')}` }
+    : null;
+}
+
+// Parsed CONTACT_ROUTES, or null when it is not a JSON object
+function contactRoutes() {
+  if (!process.env.CONTACT_ROUTES) {
+    return {};
+  }
+
+  try {
+    const routes = JSON.parse(process.env.CONTACT_ROUTES);
+    return routes && typeof routes === 'object' && !Array.isArray(routes) ? routes : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isRoute(route) {
+  return Boolean(route) && typeof route === 'object' && !Array.isArray(route);
+}
+
+function addresses(value) {
+  return [].concat(value || []).map((address) => String(address).trim()).filter(Boolean);
+}
+
+// Returns { name, to, cc, bcc, subjectPrefix } for a reason; cc and bcc are empty lists when unset
+function routeFor(reason) {
+  let routes = contactRoutes();
+  if (!routes) {
+    log.error('CONTACT_ROUTES is not a JSON object, sending to RECIPIENT_EMAIL');
+    routes = {};
+  }
+
+  const hasRoute = (key) => Object.hasOwn(routes, key) && isRoute(routes[key]);
+  const name = reason && hasRoute(reason) ? reason : 'default';
+  const route = hasRoute(name) ? routes[name] : {};
+  const to = addresses(route.to);
+
+  return {
+    name: hasRoute(name) ? name : 'fallback',
+    to: to.length ? to : [process.env.RECIPIENT_EMAIL],
+    cc: addresses(route.cc),
+    bcc: addresses(route.bcc),
+    subjectPrefix: route.subjectPrefix || null
+  };
+}
+
+// Every to/cc/bcc address of CONTACT_ROUTES (see suppressions.js)
+function routeAddresses() {
+  const routes = contactRoutes() || {};
+  return Object.values(routes)
+    .filter(isRoute)
+    .flatMap((route) => [...addresses(route.to), ...addresses(route.cc), ...addresses(route.bcc)]);
+}
+
+// Configuration problems, reported by checkConfig() (see config.js)
+function contactRouteErrors() {
+  const routes = contactRoutes();
+  if (!routes) {
+    return ['CONTACT_ROUTES must be a JSON object'];
+  }
+
+  const reasons = contactReasons();
+  const errors = [];
+  for (const [name, route] of Object.entries(routes)) {
+    if (reasons && name !== 'default' && !reasons.includes(name)) {
+      errors.push(`Contact route ${name} is not a contact reason (${reasons.join(', ')})`);
+    }
+    if (!isRoute(route)) {
+      errors.push(`Contact route ${name} must be an object`);
+      continue;
+    }
+    const unknown = Object.keys(route).filter((field) => !ROUTE_FIELDS.includes(field));
+    if (unknown.length) {
+      errors.push(`Contact route ${name} has unknown fields: ${unknown.join(', ')}`);
+    }
+    const invalid = [...addresses(route.to), ...addresses(route.cc), ...addresses(route.bcc)]
+      .filter((address) => !EMAIL_REGEX.test(address));
+    if (invalid.length) {
+      errors.push(`Contact route ${name} has invalid addresses: ${invalid.join(', ')}`);
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  contactReasons,
+  checkReason,
+  routeFor,
+  routeAddresses,
+  contactRouteErrors
+};
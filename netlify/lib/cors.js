@@ -0,0 +1,39 @@
+// CORS origin policy.
+//
+// CORS_ALLOWED_ORIGINS is a comma-separated list of origins; `*` matches a single run of
+// letters, digits and hyphens, so it can stand for a subdomain label or a port but never
+// spans a dot. Example:
+//   https://ibuildwith.ai,https://www.ibuildwith.ai,https://deploy-preview-*--ibuildwithai.netlify.app,http://localhost:*
+
+const DEFAULT_ALLOWED_ORIGINS = ['https://ibuildwith.ai', 'https://www.ibuildwith.ai'];
+
+function escapeRegex(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function originPattern(origin) {
+  const source = origin.split('*').map(escapeRegex).join('[a-z0-9-]+');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Whether `origin` matches a comma-separated origin list in the CORS_ALLOWED_ORIGINS syntax,
+// or `defaults` when the list is empty
+function originInList(origin, list, defaults = DEFAULT_ALLOWED_ORIGINS) {
+  const configured = (list || '')
+    .split(',')
+    .map((entry) => entry.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  const patterns = (configured.length ? configured : defaults).map(originPattern);
+  return Boolean(origin) && patterns.some((pattern) => pattern.test(origin));
+}
+
+function isOriginAllowed(origin) {
+  return originInList(origin, process.env.CORS_ALLOWED_ORIGINS);
+}
+
+module.exports = {
+  DEFAULT_ALLOWED_ORIGINS,
+  originInList,
+  isOriginAllowed
+};
@@ -0,0 +1,96 @@
+// HTML email building blocks shared by email-templates.js.
+// The `html` tag escapes every interpolated value unless it was produced by `html` itself
+// (or wrapped in raw()), so user input can never inject markup into an email.
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderValue(value) {
+  if (value === undefined || value === null || value === false) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join('');
+  }
+  return value instanceof SafeHtml ? value.value : escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, string, i) => out + string + (i < values.length ? renderValue(values[i]) : ''), ''));
+}
+
+// Trusted markup only - never pass user input
+function raw(value) {
+  return new SafeHtml(value);
+}
+
+// Only http(s) links are rendered as clickable
+function safeUrl(url) {
+  return /^https?:\/\//i.test(url || '') ? url : '#';
+}
+
+// Label / value table used by the admin notifications
+function detailsTable(rows) {
+  return html`<table role="presentation" cellpadding="0" cellspacing="0" style="width:100%;border-collapse:collapse;margin:16px 0;">
+${rows.filter(([, value]) => value !== undefined && value !== null && value !== '').map(([label, value]) => html`<tr>
+<td style="padding:6px 12px 6px 0;color:#6b7280;vertical-align:top;white-space:nowrap;">${label}</td>
+<td style="padding:6px 0;color:#111827;white-space:pre-wrap;">${value}</td>
+</tr>
+`)}</table>`;
+}
+
+function button(label, url) {
+  return html`<p style="margin:24px 0;"><a href="${safeUrl(url)}" style="display:inline-block;background:#111827;color:#ffffff;text-decoration:none;padding:12px 20px;border-radius:6px;font-weight:600;">${label}</a></p>`;
+}
+
+// Branded wrapper around every email body
+function layout({ title, body, footer }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;font-size:15px;line-height:1.5;color:#111827;">
+<table role="presentation" cellpadding="0" cellspacing="0" style="width:100%;background:#f3f4f6;">
+<tr><td align="center" style="padding:24px 12px;">
+<table role="presentation" cellpadding="0" cellspacing="0" style="width:100%;max-width:600px;background:#ffffff;border-radius:8px;">
+<tr><td style="padding:24px 32px;border-bottom:1px solid #e5e7eb;font-size:20px;font-weight:700;">iBuildWith.ai</td></tr>
+<tr><td style="padding:24px 32px;">
+<h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(title)}</h1>
+${renderValue(body)}
+</td></tr>
+<tr><td style="padding:16px 32px;border-top:1px solid #e5e7eb;font-size:12px;color:#6b7280;">${renderValue(footer || html`<a href="https://ibuildwith.ai" style="color:#6b7280;">iBuildWith.ai</a>`)}</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+module.exports = {
+  escapeHtml,
+  html,
+  raw,
+  safeUrl,
+  detailsTable,
+  button,
+  layout
+};
@@ -0,0 +1,427 @@
+const { html, detailsTable, button, safeUrl, layout } = require('./email-render');
+
+// Every email we send, as { subject, text, html }.
+// Each template has `sample` data used by `npm run preview:emails`.
+
+function cleanPageTitle(pageTitle, fallback = 'Page title not available') {
+  return (pageTitle || fallback).replace('| iBuildWith.ai', '').trim();
+}
+
+// Auto-reply wording per contact form reason
+const ACKNOWLEDGEMENT_INTROS = {
+  speaking: 'Thanks for thinking of us for a speaking opportunity! We review every request and will get back to you about availability and details.',
+  sponsorship: 'Thanks for your interest in sponsoring iBuildWith.ai! We\'ll get back to you with our current sponsorship options.',
+  support: 'Thanks for reaching out for help. We\'ll look into it and get back to you as soon as we can.',
+  press: 'Thanks for your press inquiry. We\'ll get back to you shortly.',
+  general: 'Thanks for getting in touch! We read every message and will get back to you soon.'
+};
+
+// Admin warning when the submitter's address is on the suppression list (see suppressions.js)
+function suppressionNote(suppression) {
+  if (!suppression) {
+    return '';
+  }
+  return `Warning: ${suppression.email} is on the suppression list (${suppression.reason}, ${suppression.createdAt.slice(0, 10)}). We won't send emails to this address.`;
+}
+
+function suppressionHtml(note) {
+  return note && html`<p style="padding:12px;background:#fee2e2;border-radius:6px;">${note}</p>`;
+}
+
+function unsubscribeFooter(unsubscribeUrl) {
+  return html`You're receiving this because you asked for it on <a href="https://ibuildwith.ai" style="color:#6b7280;">iBuildWith.ai</a>.
+<a href="${safeUrl(unsubscribeUrl)}" style="color:#6b7280;">Unsubscribe</a>`;
+}
+
+const templates = {
+  'contact-notification': {
+    sample: {
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: 'ada@example.com',
+      reason: 'speaking',
+      message: 'Would you like to speak at our meetup?\nWe meet monthly. <b>Not bold</b>',
+      timestamp: 'March 4, 2026 at 09:00:00 AM',
+      clientIP: '203.0.113.7',
+      userAgent: 'Mozilla/5.0',
+      suppression: null
+    },
+    render: (data) => {
+      const note = suppressionNote(data.suppression);
+
+      return {
+        subject: 'New Contact Form Submission - iBuildWith.ai',
+        text: `
+New contact form submission from iBuildWith.ai
+
+Name: ${data.firstName} ${data.lastName}
+Email: ${data.email}
+Reason: ${data.reason || 'Not specified'}
+Message: ${data.message}
+
+Submitted: ${data.timestamp}
+IP Address: ${data.clientIP}
+User Agent: ${data.userAgent || 'Not available'}
+${note ? `\n${note}\n` : ''}
+---
+This email was sent from the iBuildWith.ai contact form.
+        `.trim(),
+        html: layout({
+          title: 'New contact form submission',
+          body: html`${detailsTable([
+            ['Name', `${data.firstName} ${data.lastName}`],
+            ['Email', data.email],
+            ['Reason', data.reason || 'Not specified'],
+            ['Message', data.message],
+            ['Submitted', data.timestamp],
+            ['IP Address', data.clientIP],
+            ['User Agent', data.userAgent || 'Not available']
+          ])}
+${suppressionHtml(note)}`,
+          footer: html`This email was sent from the iBuildWith.ai contact form.`
+        })
+      };
+    }
+  },
+
+  'contact-acknowledgement': {
+    sample: {
+      firstName: 'Ada',
+      reason: 'sponsorship',
+      message: 'We would love to sponsor an episode next quarter.'
+    },
+    render: (data) => {
+      const intro = ACKNOWLEDGEMENT_INTROS[data.reason] || ACKNOWLEDGEMENT_INTROS.general;
+
+      return {
+        subject: 'We received your message - iBuildWith.ai',
+        text: `Hi ${data.firstName},
+
+${intro}
+
+Here's a copy of your message:
+
+${data.message}
+
+You can reply to this email if you'd like to add anything.
+
+iBuildWith.ai`,
+        html: layout({
+          title: 'We received your message',
+          body: html`<p>Hi ${data.firstName},</p>
+<p>${intro}</p>
+<p style="color:#6b7280;margin-bottom:4px;">Here's a copy of your message:</p>
+<blockquote style="margin:0 0 16px;padding:12px 16px;border-left:3px solid #e5e7eb;background:#f9fafb;white-space:pre-wrap;">${data.message}</blockquote>
+<p>You can reply to this email if you'd like to add anything.</p>`
+        })
+      };
+    }
+  },
+
+  'newsletter-confirmation': {
+    sample: {
+      firstName: 'Ada',
+      confirmationUrl: 'https://example.com/.netlify/functions/confirm-subscription?token=sample'
+    },
+    render: (data) => ({
+      subject: 'Please confirm your iBuildWith.ai newsletter subscription',
+      text: `Hi ${data.firstName},
+
+Please confirm that you want to receive the iBuildWith.ai newsletter by opening this link:
+
+${data.confirmationUrl}
+
+The link expires in 48 hours. If you didn't sign up, you can ignore this email and you won't be subscribed.
+
+iBuildWith.ai`,
+      html: layout({
+        title: 'Confirm your subscription',
+        body: html`<p>Hi ${data.firstName},</p>
+<p>Please confirm that you want to receive the iBuildWith.ai newsletter.</p>
+${button('Confirm subscription', data.confirmationUrl)}
+<p style="color:#6b7280;">The link expires in 48 hours. If you didn't sign up, you can ignore this email and you won't be subscribed.</p>`
+      })
+    })
+  },
+
+  'newsletter-admin-notification': {
+    sample: {
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: 'ada@example.com',
+      source: 'newsletter',
+      date: 'March 4, 2026, 9:00:00 AM',
+      senderStatus: 'queued for retry',
+      senderQueued: true,
+      senderError: 'Status: 503, Message: Service Unavailable',
+      suppression: null
+    },
+    render: (data) => {
+      let note = '';
+      if (data.senderQueued) {
+        note = `Note: Sender.net could not be reached. The subscriber will be added automatically on retry.
+
+Error Details: ${data.senderError}`;
+      } else if (data.senderStatus === 'already_exists') {
+        note = 'Note: This email already exists in Sender.net.';
+      }
+      const suppression = suppressionNote(data.suppression);
+
+      return {
+        subject: `New Newsletter Signup from ${data.firstName} ${data.lastName}`,
+        text: `
+New Newsletter Subscription Confirmed:
+
+First Name: ${data.firstName}
+Last Name: ${data.lastName}
+Email: ${data.email}
+Source: ${data.source}
+
+Date: ${data.date}
+
+Sender.net Status: ${data.senderStatus}${note ? `\n\n${note}` : ''}${suppression ? `\n\n${suppression}` : ''}`,
+        html: layout({
+          title: 'New newsletter subscription confirmed',
+          body: html`${detailsTable([
+            ['First Name', data.firstName],
+            ['Last Name', data.lastName],
+            ['Email', data.email],
+            ['Source', data.source],
+            ['Date', data.date],
+            ['Sender.net Status', data.senderStatus]
+          ])}
+${note && html`<p style="padding:12px;background:#fef3c7;border-radius:6px;white-space:pre-wrap;">${note}</p>`}
+${suppressionHtml(suppression)}`
+        })
+      };
+    }
+  },
+
+  'reminder-confirmation': {
+    sample: {
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: 'ada@example.com',
+      pageTitle: 'Episode 12: Shipping with AI | iBuildWith.ai',
+      pageUrl: 'https://ibuildwith.ai/podcast/episode-12',
+      episodeDescription: 'How a two-person team ships production features with AI pair programmers.',
+      remindAt: 'March 4, 2026 at 09:00 AM PST',
+      startsAt: 'March 4, 2026 at 10:00 AM PST',
+      googleCalendarUrl: 'https://calendar.google.com/calendar/render?action=TEMPLATE&text=Episode+12',
+      outlookCalendarUrl: 'https://outlook.live.com/calendar/0/deeplink/compose?subject=Episode+12',
+      confirmationUrl: 'https://example.com/.netlify/functions/confirm-subscription?token=sample',
+      unsubscribeUrl: 'https://example.com/.netlify/functions/unsubscribe?token=sample'
+    },
+    render: (data) => ({
+      subject: 'Your iBuildWith.ai reminder is set!',
+      text: `Hi ${data.firstName},
+
+Your reminder is set! Here are the details:
+
+Your name: ${data.firstName} ${data.lastName}
+Your email: ${data.email}
+
+The page you requested a reminder for:
+
+${cleanPageTitle(data.pageTitle)}
+${data.pageUrl || 'Page URL not available'}
+${data.episodeDescription ? `\n${data.episodeDescription}\n` : ''}
+${data.startsAt ? `The episode starts on ${data.startsAt}. ` : ''}We'll email you on ${data.remindAt}.
+
+Add it to your calendar (the attached podcast-reminder.ics works too):
+Google Calendar: ${data.googleCalendarUrl}
+Outlook: ${data.outlookCalendarUrl}
+${data.confirmationUrl ? `
+Want the iBuildWith.ai newsletter too? Confirm your subscription here (link expires in 48 hours):
+${data.confirmationUrl}
+` : ''}
+Learn more at iBuildWith.ai
+
+To cancel this reminder and stop emails from us: ${data.unsubscribeUrl}`,
+      html: layout({
+        title: 'Your reminder is set!',
+        body: html`<p>Hi ${data.firstName},</p>
+<p>We'll email you on <strong>${data.remindAt}</strong> about:</p>
+<p style="font-size:17px;font-weight:600;margin:8px 0;">${data.pageUrl ? html`<a href="${safeUrl(data.pageUrl)}" style="color:#111827;">${cleanPageTitle(data.pageTitle)}</a>` : cleanPageTitle(data.pageTitle)}</p>
+${data.episodeDescription && html`<p style="color:#4b5563;">${data.episodeDescription}</p>`}
+${detailsTable([
+          ['Episode starts', data.startsAt],
+          ['Your name', `${data.firstName} ${data.lastName}`],
+          ['Your email', data.email]
+        ])}
+<p>Add it to your calendar so you get a reminder even if our email goes missing:
+<a href="${safeUrl(data.googleCalendarUrl)}" style="color:#111827;">Google Calendar</a> &middot;
+<a href="${safeUrl(data.outlookCalendarUrl)}" style="color:#111827;">Outlook</a> &middot;
+or open the attached podcast-reminder.ics.</p>
+${data.confirmationUrl && html`<p>Want the iBuildWith.ai newsletter too? Confirm your subscription (link expires in 48 hours):</p>
+${button('Subscribe to the newsletter', data.confirmationUrl)}`}`,
+        footer: unsubscribeFooter(data.unsubscribeUrl)
+      })
+    })
+  },
+
+  'reminder-admin-notification': {
+    sample: {
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: 'ada@example.com',
+      pageTitle: 'Episode 12: Shipping with AI | iBuildWith.ai',
+      pageUrl: 'https://ibuildwith.ai/podcast/episode-12',
+      remindAt: 'March 4, 2026 at 09:00 AM PST',
+      startsAt: 'March 4, 2026 at 10:00 AM PST',
+      timestamp: 'March 1, 2026 at 10:30:00 AM',
+      newsletterStatus: 'pending confirmation',
+      suppression: { email: 'ada@example.com', reason: 'bounced', createdAt: '2026-02-20T08:00:00.000Z' }
+    },
+    render: (data) => {
+      const note = suppressionNote(data.suppression);
+
+      return {
+        subject: `New Podcast Reminder from ${data.firstName} ${data.lastName}`,
+        text: `
+New Podcast Reminder Request:
+
+First Name: ${data.firstName}
+Last Name: ${data.lastName}
+Email: ${data.email}
+
+Podcast Page:
+${cleanPageTitle(data.pageTitle)}
+${data.pageUrl || 'Page URL not available'}
+
+Remind At: ${data.remindAt}
+Starts At: ${data.startsAt || 'Not specified'}
+Date: ${data.timestamp}
+
+Newsletter: ${data.newsletterStatus}${note ? `\n\n${note}` : ''}`,
+        html: layout({
+          title: 'New podcast reminder request',
+          body: html`${detailsTable([
+            ['First Name', data.firstName],
+            ['Last Name', data.lastName],
+            ['Email', data.email],
+            ['Podcast Page', cleanPageTitle(data.pageTitle)],
+            ['Page URL', data.pageUrl || 'Page URL not available'],
+            ['Remind At', data.remindAt],
+            ['Starts At', data.startsAt],
+            ['Date', data.timestamp],
+            ['Newsletter', data.newsletterStatus]
+          ])}
+${suppressionHtml(note)}`
+        })
+      };
+    }
+  },
+
+  'reminder-delivery': {
+    sample: {
+      firstName: 'Ada',
+      pageTitle: 'Episode 12: Shipping with AI | iBuildWith.ai',
+      pageUrl: 'https://ibuildwith.ai/podcast/episode-12',
+      unsubscribeUrl: 'https://example.com/.netlify/functions/unsubscribe?token=sample'
+    },
+    render: (data) => {
+      const pageTitle = cleanPageTitle(data.pageTitle, 'the iBuildWith.ai podcast');
+      const pageUrl = data.pageUrl || 'https://ibuildwith.ai';
+
+      return {
+        subject: `Reminder: ${pageTitle}`,
+        text: `Hi ${data.firstName},
+
+You asked us to remind you about this episode, and it's time!
+
+${pageTitle}
+${pageUrl}
+
+See you there,
+iBuildWith.ai
+
+Unsubscribe: ${data.unsubscribeUrl}`,
+        html: layout({
+          title: 'It\'s time!',
+          body: html`<p>Hi ${data.firstName},</p>
+<p>You asked us to remind you about this episode, and it's time!</p>
+<p style="font-size:17px;font-weight:600;margin:8px 0;">${pageTitle}</p>
+${button('Listen now', pageUrl)}
+<p>See you there,<br>iBuildWith.ai</p>`,
+          footer: unsubscribeFooter(data.unsubscribeUrl)
+        })
+      };
+    }
+  },
+
+  // Sent by the unsubscribe function; `erased` when the person also asked to delete their data
+  'unsubscribe-acknowledgement': {
+    sample: {
+      erased: false
+    },
+    render: (data) => data.erased
+      ? {
+        subject: 'Your iBuildWith.ai data has been deleted',
+        text: `You've been unsubscribed from iBuildWith.ai and we've deleted your newsletter and podcast reminder data.
+
+This is the last email you'll receive from us.`,
+        html: layout({
+          title: 'Your data has been deleted',
+          body: html`<p>You've been unsubscribed from iBuildWith.ai and we've deleted your newsletter and podcast reminder data.</p>
+<p>This is the last email you'll receive from us.</p>`
+        })
+      }
+      : {
+        subject: 'You have been unsubscribed from iBuildWith.ai',
+        text: `You've been unsubscribed from iBuildWith.ai emails and any pending podcast reminders have been cancelled.
+
+If this was a mistake, you can sign up again at https://ibuildwith.ai`,
+        html: layout({
+          title: 'You have been unsubscribed',
+          body: html`<p>You've been unsubscribed from iBuildWith.ai emails and any pending podcast reminders have been cancelled.</p>
+<p>If this was a mistake, you can <a href="https://ibuildwith.ai">sign up again</a>.</p>`
+        })
+      }
+  },
+
+  // Admin alert for a job that failed MAX_ATTEMPTS times (see jobs.js)
+  'dead-letter-alert': {
+    sample: {
+      id: '3f6c2a9e-5b1d-4c8e-9a7f-0d2e4b6c8a10',
+      type: 'send-email',
+      attempts: 8,
+      submissionKey: 'contact-form/7d9e1f20-3a4b-4c5d-8e6f-1a2b3c4d5e6f',
+      lastError: 'resend: Status: 503, Message: Service Unavailable'
+    },
+    render: (data) => ({
+      subject: `⚠️ Delivery failed permanently - ${data.type}`,
+      text: `A ${data.type} job failed ${data.attempts} times and was moved to the dead letter queue.
+
+Job ID: ${data.id}
+Submission: ${data.submissionKey || 'n/a'}
+Last Error: ${data.lastError}
+
+The job and its payload are kept in the "jobs" store.`,
+      html: layout({
+        title: 'Delivery failed permanently',
+        body: html`<p>A ${data.type} job failed ${data.attempts} times and was moved to the dead letter queue.</p>
+${detailsTable([
+          ['Job ID', data.id],
+          ['Submission', data.submissionKey || 'n/a'],
+          ['Last Error', data.lastError]
+        ])}
+<p style="color:#6b7280;">The job and its payload are kept in the "jobs" store.</p>`
+      })
+    })
+  }
+};
+
+// Returns { subject, text, html } for a template
+function renderEmail(name, data) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template.render(data);
+}
+
+module.exports = {
+  templates,
+  renderEmail
+};
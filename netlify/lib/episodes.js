@@ -0,0 +1,152 @@
+const { originInList } = require('./cors');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'episodes' });
+
+// Podcast episode metadata for reminders.
+//
+// Reminder page URLs must be on one of the site's own origins: REMINDER_PAGE_ORIGINS, in the
+// CORS_ALLOWED_ORIGINS syntax (see cors.js), defaulting to the production site. It is separate from
+// the CORS list so development origins such as http://localhost:* never end up in reminder emails.
+// When EPISODES_FEED_URL is set, the page must also be an episode in that feed, and its
+// canonical URL, title, air date and description come from the feed instead of the client.
+// The feed is either RSS (<item> with link, title, pubDate, description), a JSON Feed
+// ({ items: [{ url, title, date_published, summary }] }) or a JSON array of
+// { url, title, date, description }.
+// Episodes are { url, title, airsAt (ISO), description }.
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+let cache = null;
+
+function isAllowedPageUrl(pageUrl) {
+  try {
+    return originInList(new URL(pageUrl).origin, process.env.REMINDER_PAGE_ORIGINS);
+  } catch (error) {
+    return false;
+  }
+}
+
+function episodesFeedConfigured() {
+  return Boolean(process.env.EPISODES_FEED_URL);
+}
+
+// Compares pages by host and path, ignoring protocol, "www.", query, hash and trailing slash
+function pageKey(pageUrl) {
+  try {
+    const url = new URL(pageUrl);
+    return `${url.hostname.toLowerCase().replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+// Episode descriptions are often HTML; keep a short plain-text version
+function plainText(value) {
+  const text = decodeEntities(String(value || '').replace(/<[^>]*>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .replace(/ ([.,;:!?])/g, '$1')
+    .trim();
+  return text.length > MAX_DESCRIPTION_LENGTH ? `${text.slice(0, MAX_DESCRIPTION_LENGTH - 1).trim()}…` : text;
+}
+
+function xmlTag(xml, name) {
+  const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+  if (!match) {
+    return '';
+  }
+  const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return cdata ? cdata[1].trim() : decodeEntities(match[1].trim());
+}
+
+function parseRss(xml) {
+  return (xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || []).map((item) => ({
+    url: xmlTag(item, 'link'),
+    title: xmlTag(item, 'title'),
+    date: xmlTag(item, 'pubDate'),
+    description: xmlTag(item, 'description') || xmlTag(item, 'itunes:summary')
+  }));
+}
+
+function parseJson(json) {
+  const items = Array.isArray(json) ? json : json.items || [];
+  return items.map((item) => ({
+    url: item.url || item.link,
+    title: item.title,
+    date: item.date_published || item.date || item.airsAt,
+    description: item.summary || item.content_text || item.description
+  }));
+}
+
+function parseFeed(body) {
+  const entries = body.trim().startsWith('<') ? parseRss(body) : parseJson(JSON.parse(body));
+
+  return entries
+    .filter((entry) => entry.url && entry.title && !Number.isNaN(new Date(entry.date).getTime()))
+    .map((entry) => ({
+      url: entry.url,
+      title: plainText(entry.title),
+      airsAt: new Date(entry.date).toISOString(),
+      description: plainText(entry.description) || null
+    }));
+}
+
+async function fetchEpisodes() {
+  const response = await fetch(process.env.EPISODES_FEED_URL, {
+    headers: { 'Accept': 'application/rss+xml, application/feed+json, application/json' },
+    signal: AbortSignal.timeout(5000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Episodes feed returned ${response.status}`);
+  }
+  return parseFeed(await response.text());
+}
+
+// Returns the feed's episodes, cached for a few minutes; a stale copy is used if a refresh fails
+async function listEpisodes() {
+  if (cache && Date.now() - cache.fetchedAt < CACHE_TTL_MS) {
+    return cache.episodes;
+  }
+
+  try {
+    cache = { episodes: await fetchEpisodes(), fetchedAt: Date.now() };
+    return cache.episodes;
+  } catch (error) {
+    if (!cache) {
+      throw error;
+    }
+    log.warn('Using stale episodes feed', { error: error.message });
+    return cache.episodes;
+  }
+}
+
+async function findEpisode(pageUrl) {
+  const key = pageKey(pageUrl);
+  const episodes = await listEpisodes();
+  return episodes.find((episode) => pageKey(episode.url) === key) || null;
+}
+
+function clearEpisodesCache() {
+  cache = null;
+}
+
+module.exports = {
+  isAllowedPageUrl,
+  episodesFeedConfigured,
+  listEpisodes,
+  findEpisode,
+  clearEpisodesCache
+};
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const { enqueueAndRun } = require('./jobs');
+const { webhooksFor } = require('./webhooks');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'events' });
+
+// Fans a submission event out to every webhook subscribed to it (see webhooks.js).
+// Each delivery is a 'send-webhook' job, so failures are retried by process-queue.
+// Returns the jobs; never throws, so webhooks can't break a form submission.
+async function emitEvent(type, data, { submissionKey = null } = {}) {
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    data
+  };
+
+  try {
+    const jobs = [];
+    for (const webhook of webhooksFor(type)) {
+      jobs.push(await enqueueAndRun('send-webhook', { webhook: webhook.name, event }, { submissionKey }));
+    }
+    return jobs;
+  } catch (error) {
+    log.error('Failed to emit event', { type, error });
+    return [];
+  }
+}
+
+module.exports = {
+  emitEvent
+};
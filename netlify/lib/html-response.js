@@ -0,0 +1,23 @@
+// Minimal HTML page for functions opened directly in a browser (e.g. links in emails).
+// `extraHtml` is inserted as-is, so it must never contain user input.
+
+function htmlResponse(statusCode, title, message, extraHtml = '') {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    body: `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${title} - iBuildWith.ai</title></head>
+<body>
+<h1>${title}</h1>
+<p>${message}</p>
+${extraHtml}
+<p><a href="https://ibuildwith.ai">Back to iBuildWith.ai</a></p>
+</body>
+</html>`
+  };
+}
+
+module.exports = {
+  htmlResponse
+};
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const { sendEmail, fromAddress } = require('./mailer');
+const { renderEmail } = require('./email-templates');
+const { openStore } = require('./store');
+const { mailingList } = require('./mailing-list');
+const { setSenderStatus, recordOptOut } = require('./subscriptions');
+const { recordDelivery, mentionsEmail } = require('./submissions');
+const { deliverWebhook } = require('./webhooks');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'jobs' });
+
+// Retryable delivery jobs for emails (see mailer.js), mailing-list subscribers (see mailing-list.js)
+// and webhooks (see webhooks.js).
+// Functions enqueue a job and try it right away with runJob(); failures are retried with
+// exponential backoff by the scheduled process-queue function until MAX_ATTEMPTS,
+// after which the job is dead-lettered and the admin is alerted.
+//
+// status: 'pending' -> 'running' -> 'done', or back to 'pending' after a failure, or 'dead'.
+// Jobs that can still run are stored under `pending/<id>` and move to `finished/<finishedAt>/<id>`
+// once 'done' or 'dead', so the scheduled run only reads the queue, not the whole history.
+// Done jobs drop their payload (names, emails, messages); dead jobs keep it for investigation.
+// process-queue deletes finished jobs after FINISHED_JOB_TTL_DAYS.
+
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 60 * 1000; // 1 minute, doubled after every failed attempt
+const LOCK_MS = 2 * 60 * 1000; // a 'running' job whose lock expired is picked up again
+const FINISHED_JOB_TTL_DAYS = 30;
+
+// Handlers return a small result object, or throw to have the job retried
+const JOB_HANDLERS = {
+  'send-email': async (payload) => sendEmail(payload),
+
+  'add-subscriber': async (payload) => {
+    const { status, errorDetails } = await mailingList().addSubscriber(payload);
+
+    if (status === 'failed') {
+      throw new Error(errorDetails || 'Mailing list error');
+    }
+    await setSenderStatus(payload.email, status);
+    return { senderStatus: status };
+  },
+
+  // Tags a confirmed subscriber who signs up again. Their name is left as confirmed, since the new
+  // signup was not verified by the address owner. A contact missing from the provider was deleted
+  // or unsubscribed there, so it is never added back: the subscription is marked unsubscribed and
+  // the next signup goes through double opt-in again.
+  'tag-subscriber': async ({ email, tags }) => {
+    const provider = mailingList();
+    const { status, errorDetails } = await provider.tagSubscriber(email, tags);
+
+    if (status === 'not_found') {
+      log.warn(`Subscriber missing from ${provider.name}, marking unsubscribed`, { email });
+      await recordOptOut(email, 'unsubscribed', provider.name);
+      return { senderStatus: 'skipped' };
+    }
+
+    if (status === 'failed') {
+      throw new Error(errorDetails || 'Mailing list error');
+    }
+    return { senderStatus: status };
+  },
+
+  'send-webhook': async (payload) => deliverWebhook(payload)
+};
+
+const FINISHED_STATUSES = ['done', 'dead'];
+
+function jobsStore() {
+  return openStore('jobs');
+}
+
+async function saveJob(job) {
+  let updated = { ...job, updatedAt: new Date().toISOString() };
+  const store = jobsStore();
+
+  if (FINISHED_STATUSES.includes(updated.status)) {
+    if (updated.status === 'done') {
+      updated = { ...updated, payload: null };
+    }
+    await store.set(`finished/${updated.updatedAt}/${updated.id}`, updated);
+    await store.delete(`pending/${updated.id}`);
+  } else {
+    await store.set(`pending/${updated.id}`, updated);
+  }
+
+  if (updated.submissionKey) {
+    await recordDelivery(updated.submissionKey, updated);
+  }
+  return updated;
+}
+
+async function enqueueJob(type, payload, { submissionKey = null } = {}) {
+  if (!JOB_HANDLERS[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  return saveJob({
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    submissionKey,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    lockedUntil: null,
+    lastError: null,
+    result: null,
+    createdAt: new Date().toISOString()
+  });
+}
+
+// Runs one attempt of a job and returns its updated state
+async function runJob(job) {
+  const running = await saveJob({
+    ...job,
+    status: 'running',
+    lockedUntil: new Date(Date.now() + LOCK_MS).toISOString()
+  });
+
+  try {
+    const result = await JOB_HANDLERS[job.type](job.payload);
+    return await saveJob({
+      ...running,
+      status: 'done',
+      attempts: running.attempts + 1,
+      lockedUntil: null,
+      lastError: null,
+      result
+    });
+  } catch (error) {
+    const attempts = running.attempts + 1;
+    const dead = attempts >= MAX_ATTEMPTS;
+    const failed = await saveJob({
+      ...running,
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      lockedUntil: null,
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + BASE_DELAY_MS * 2 ** (attempts - 1)).toISOString()
+    });
+
+    if (dead) {
+      log.error('Job moved to dead letter', { jobId: job.id, type: job.type, attempts, error });
+      await notifyDeadLetter(failed);
+    } else {
+      log.warn('Job failed, will retry', { jobId: job.id, type: job.type, attempts, error: error.message });
+    }
+    return failed;
+  }
+}
+
+// Enqueues a job and makes the first attempt immediately
+async function enqueueAndRun(type, payload, options) {
+  return runJob(await enqueueJob(type, payload, options));
+}
+
+async function listRunnableJobs(now = Date.now()) {
+  const store = jobsStore();
+  const keys = await store.list('pending/');
+  const runnable = [];
+
+  for (const key of keys) {
+    const job = await store.get(key);
+    if (!job) {
+      continue;
+    }
+
+    const due = job.status === 'pending' && new Date(job.nextAttemptAt).getTime() <= now;
+    const stale = job.status === 'running' && new Date(job.lockedUntil).getTime() <= now;
+    if (due || stale) {
+      runnable.push(job);
+    }
+  }
+
+  return runnable.sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+}
+
+// Deletes finished jobs older than FINISHED_JOB_TTL_DAYS, by the date in their key.
+// Returns the number deleted.
+async function deleteExpiredJobs(now = Date.now()) {
+  const store = jobsStore();
+  const cutoff = new Date(now - FINISHED_JOB_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  let deleted = 0;
+
+  for (const key of await store.list('finished/')) {
+    if (key.split('/')[1] < cutoff) {
+      await store.delete(key);
+      deleted++;
+    }
+  }
+  return deleted;
+}
+
+// Deletes the jobs of erased submissions, and jobs without a submission whose payload mentions
+// the address; jobs of other people's submissions are kept. Returns the number deleted.
+async function eraseJobsFor(email, submissionKeys = []) {
+  const store = jobsStore();
+  let erased = 0;
+
+  for (const key of await store.list()) {
+    const job = await store.get(key);
+    const owned = job && (job.submissionKey ? submissionKeys.includes(job.submissionKey) : mentionsEmail(job.payload, email));
+    if (owned) {
+      await store.delete(key);
+      erased++;
+    }
+  }
+
+  return erased;
+}
+
+async function notifyDeadLetter(job) {
+  try {
+    const alert = renderEmail('dead-letter-alert', job);
+    await sendEmail({
+      from: fromAddress('system'),
+      to: [process.env.RECIPIENT_EMAIL],
+      subject: alert.subject,
+      text: alert.text,
+      html: alert.html
+    });
+  } catch (error) {
+    log.error('Dead letter notification error', { error });
+  }
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  enqueueJob,
+  enqueueAndRun,
+  runJob,
+  listRunnableJobs,
+  deleteExpiredJobs,
+  eraseJobsFor
+};
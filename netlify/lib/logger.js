@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { version } = require('../../package.json');
+
+// Structured JSON logging with request correlation, PII redaction and error reporting.
+//
+//   const log = logger.child({ module: 'jobs' });
+//   log.info('Job finished', { jobId, attempts });
+//   log.error('Job failed', { jobId, error });   // an Error in `error` is also reported
+//
+// Each entry is one JSON line: { level, time, msg, requestId, function, ...fields }.
+// requestId/function come from the request being handled (see runWithContext, used by
+// pipeline.js), so library code doesn't have to pass them around.
+// LOG_LEVEL: debug | info (default) | warn | error | silent.
+//
+// Email addresses are masked wherever they appear and name fields are dropped.
+// With SENTRY_DSN set, error-level entries carrying an Error are sent to Sentry
+// (or any service accepting Sentry's envelope API).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+const EMAIL_PATTERN = /([^\s@<>"'(),;:]+)@([^\s@<>"'(),;:]+\.[a-zA-Z]{2,})/g;
+const NAME_FIELDS = ['firstName', 'lastName', 'name', 'fullName'];
+
+const requestContext = new AsyncLocalStorage();
+const pendingReports = new Set();
+
+function maskEmails(value) {
+  return value.replace(EMAIL_PATTERN, (match, local, domain) => `${local[0]}***@${domain}`);
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return maskEmails(value);
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: maskEmails(value.message || ''), stack: value.stack && maskEmails(value.stack) };
+  }
+  if (!value || typeof value !== 'object' || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = NAME_FIELDS.includes(key) && item ? '[redacted]' : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function minimumLevel() {
+  return LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+}
+
+function write(level, bindings, msg, fields = {}) {
+  if (LEVELS[level] < minimumLevel()) {
+    return;
+  }
+
+  const entry = redact({
+    level,
+    time: new Date().toISOString(),
+    msg,
+    ...requestContext.getStore(),
+    ...bindings,
+    ...fields
+  });
+  console[CONSOLE_METHODS[level]](JSON.stringify(entry));
+
+  if (level === 'error' && fields.error instanceof Error) {
+    reportError(fields.error, { msg, ...bindings, ...fields });
+  }
+}
+
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra })
+  };
+}
+
+const logger = createLogger();
+
+// Runs fn with bindings (requestId, function) attached to every log entry made inside it
+function runWithContext(bindings, fn) {
+  return requestContext.run(bindings, fn);
+}
+
+// Adds fields (e.g. the caller's API key name) to every later log entry of the current request
+function addLogContext(fields) {
+  const store = requestContext.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+function newRequestId() {
+  return crypto.randomUUID();
+}
+
+// --- Error reporting ---
+
+// https://<publicKey>@<host>/<projectId>
+function parseDsn(dsn) {
+  try {
+    const url = new URL(dsn);
+    const projectId = url.pathname.split('/').filter(Boolean).pop();
+    if (!url.username || !projectId) {
+      return null;
+    }
+    return {
+      publicKey: url.username,
+      envelopeUrl: `${url.protocol}//${url.host}/api/${projectId}/envelope/`
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function reportError(error, extra = {}) {
+  const dsn = process.env.SENTRY_DSN && parseDsn(process.env.SENTRY_DSN);
+  if (!dsn) {
+    return;
+  }
+
+  const { error: _error, ...context } = redact(extra);
+  const eventId = crypto.randomUUID().replace(/-/g, '');
+  const event = {
+    event_id: eventId,
+    timestamp: Date.now() / 1000,
+    platform: 'node',
+    level: 'error',
+    release: `ibuildwithai-backend@${version}`,
+    environment: process.env.SENTRY_ENVIRONMENT || process.env.CONTEXT || 'production',
+    tags: { function: context.function, requestId: context.requestId },
+    message: context.msg,
+    exception: {
+      values: [{ type: error.name, value: maskEmails(error.message || '') }]
+    },
+    extra: { ...context, stack: error.stack && maskEmails(error.stack) }
+  };
+
+  const body = [
+    JSON.stringify({ event_id: eventId, sent_at: new Date().toISOString() }),
+    JSON.stringify({ type: 'event' }),
+    JSON.stringify(event)
+  ].join('\n');
+
+  const report = fetch(dsn.envelopeUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-sentry-envelope',
+      'X-Sentry-Auth': `Sentry sentry_version=7, sentry_key=${dsn.publicKey}, sentry_client=ibuildwithai-backend/${version}`
+    },
+    body,
+    signal: AbortSignal.timeout(3000)
+  })
+    .catch((reportingError) => console.error(JSON.stringify({ level: 'error', msg: 'Error report failed', error: reportingError.message })))
+    .finally(() => pendingReports.delete(report));
+
+  pendingReports.add(report);
+}
+
+// Waits for in-flight error reports; call before the function returns so they aren't dropped
+async function flushErrorReports() {
+  await Promise.all([...pendingReports]);
+}
+
+module.exports = {
+  logger,
+  runWithContext,
+  addLogContext,
+  newRequestId,
+  reportError,
+  flushErrorReports
+};
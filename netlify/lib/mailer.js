@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Resend } = require('resend');
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+const { partitionRecipients } = require('./suppressions');
+
+const log = logger.child({ module: 'mailer' });
+
+// Provider-agnostic email sending.
+//
+// Messages use the Resend option shape ({ from, to, subject, text, html, reply_to, headers,
+// attachments }), which is also what the 'send-email' job stores. Attachments are
+// { filename, content (base64), content_type } so they survive being stored as JSON. sendEmail() tries
+// EMAIL_PROVIDER (default 'resend') and, if it errors, EMAIL_FALLBACK_PROVIDER.
+// Recipients on the suppression list (see suppressions.js) are always dropped first.
+//
+// Providers:
+//   resend  - Resend API (RESEND_API_KEY; RESEND_BASE_URL overrides the API URL)
+//   smtp    - any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+//   console - logs the message instead of sending it (local development)
+//   file    - writes each message as JSON to EMAIL_OUTBOX_DIR (local development and tests)
+
+const DEFAULT_FROM = 'contact@send.ibuildwith.ai';
+
+// Sender address per kind of email; each falls back to EMAIL_FROM
+const FROM_ENV = {
+  contact: 'EMAIL_FROM_CONTACT',
+  newsletter: 'EMAIL_FROM_NEWSLETTER',
+  reminders: 'EMAIL_FROM_REMINDERS',
+  system: 'EMAIL_FROM_SYSTEM'
+};
+
+function fromAddress(kind) {
+  return process.env[FROM_ENV[kind]] || process.env.EMAIL_FROM || DEFAULT_FROM;
+}
+
+const PROVIDERS = {
+  resend: async (message) => {
+    const resend = new Resend(process.env.RESEND_API_KEY);
+    const { data, error } = await resend.emails.send(message, { signal: AbortSignal.timeout(5000) });
+
+    if (error) {
+      throw new Error(error.message || 'Resend error');
+    }
+    return { messageId: data && data.id };
+  },
+
+  smtp: async (message) => {
+    const info = await smtpTransport().sendMail({
+      from: message.from,
+      to: message.to,
+      cc: message.cc,
+      bcc: message.bcc,
+      replyTo: message.reply_to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      headers: message.headers,
+      attachments: (message.attachments || []).map((attachment) => ({
+        filename: attachment.filename,
+        content: attachment.content,
+        encoding: 'base64',
+        contentType: attachment.content_type
+      }))
+    });
+    return { messageId: info.messageId };
+  },
+
+  console: async (message) => {
+    const messageId = `console-${crypto.randomUUID()}`;
+    console.log(`[MAILER] ${messageId}
+From: ${message.from}
+To: ${[].concat(message.to).join(', ')}
+Subject: ${message.subject}
+
+${message.text || ''}`);
+    return { messageId };
+  },
+
+  file: async (message) => {
+    const messageId = `file-${crypto.randomUUID()}`;
+    const directory = process.env.EMAIL_OUTBOX_DIR || '.email-outbox';
+
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(
+      path.join(directory, `${Date.now()}-${messageId}.json`),
+      JSON.stringify({ messageId, ...message }, null, 2)
+    );
+    return { messageId };
+  }
+};
+
+// Connectivity checks used by the health function; they throw when a provider is unusable
+const PROVIDER_CHECKS = {
+  resend: async () => {
+    const response = await fetch(`${process.env.RESEND_BASE_URL || 'https://api.resend.com'}/domains`, {
+      headers: { 'Authorization': `Bearer ${process.env.RESEND_API_KEY}` },
+      signal: AbortSignal.timeout(3000)
+    });
+    if (!response.ok) {
+      throw new Error(`Resend API returned ${response.status}`);
+    }
+  },
+  smtp: async () => {
+    await smtpTransport().verify();
+  },
+  console: async () => {},
+  file: async () => {
+    fs.mkdirSync(process.env.EMAIL_OUTBOX_DIR || '.email-outbox', { recursive: true });
+  }
+};
+
+function smtpTransport() {
+  const port = Number(process.env.SMTP_PORT || 587);
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    connectionTimeout: 5000
+  });
+}
+
+function configuredProviders() {
+  const names = [process.env.EMAIL_PROVIDER || 'resend', process.env.EMAIL_FALLBACK_PROVIDER]
+    .filter(Boolean);
+
+  for (const name of names) {
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown email provider: ${name}`);
+    }
+  }
+  return [...new Set(names)];
+}
+
+// Drops suppressed addresses from to/cc/bcc; returns the remaining message and the dropped addresses
+async function withoutSuppressed(message) {
+  const filtered = { ...message };
+  const suppressed = [];
+
+  for (const field of ['to', 'cc', 'bcc']) {
+    if (!message[field]) {
+      continue;
+    }
+    const { allowed, suppressed: dropped } = await partitionRecipients(message[field]);
+    suppressed.push(...dropped.map((suppression) => suppression.email));
+    if (allowed.length) {
+      filtered[field] = allowed;
+    } else {
+      delete filtered[field];
+    }
+  }
+  return { filtered, suppressed };
+}
+
+// Sends a message through the primary provider, failing over to the fallback.
+// Returns { messageId, provider, suppressed }; throws when every provider fails.
+// When every `to` recipient is suppressed nothing is sent and messageId is null.
+async function sendEmail(message) {
+  const providers = configuredProviders();
+  const { filtered, suppressed } = await withoutSuppressed(message);
+  const errors = [];
+
+  if (suppressed.length) {
+    log.warn('Skipping suppressed recipients', { suppressed });
+  }
+  if (!filtered.to) {
+    return { messageId: null, provider: null, suppressed };
+  }
+
+  for (const provider of providers) {
+    try {
+      const result = await PROVIDERS[provider]({ from: fromAddress(), ...filtered });
+      if (errors.length) {
+        log.warn('Delivered via fallback provider', { provider });
+      }
+      return { ...result, provider, suppressed };
+    } catch (error) {
+      log.error('Email provider failed', { provider, error });
+      errors.push(`${provider}: ${error.message}`);
+    }
+  }
+
+  throw new Error(errors.join('; '));
+}
+
+// Returns [{ provider, ok, error }] for each configured provider
+async function checkEmailProviders() {
+  const results = [];
+
+  for (const provider of configuredProviders()) {
+    try {
+      await PROVIDER_CHECKS[provider]();
+      results.push({ provider, ok: true, error: null });
+    } catch (error) {
+      results.push({ provider, ok: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  fromAddress,
+  sendEmail,
+  configuredProviders,
+  checkEmailProviders
+};
@@ -0,0 +1,45 @@
+const sender = require('./sender');
+
+// Mailing-list provider interface. MAILING_LIST_PROVIDER picks the implementation (default 'sender').
+//
+// A provider module exports its display `name` and:
+//   addSubscriber({ email, firstName, lastName, tags })
+//   updateSubscriber({ email, firstName, lastName })
+//   tagSubscriber(email, tags)
+//   unsubscribeSubscriber(email)
+//   deleteSubscriber(email)
+//   checkConnection()  (health check)
+// each resolving to { status, errorDetails } with status 'success', 'already_exists' (add only),
+// 'not_found', 'failed' or 'skipped' (provider not configured).
+//
+// Tags are our own segment names; each provider maps them to its groups/tags/lists.
+// To add Mailchimp, ConvertKit, Buttondown, ...: implement the functions above and register it here.
+
+const PROVIDERS = {
+  sender
+};
+
+// Segments per signup source, so podcast listeners can be targeted separately
+const SOURCE_TAGS = {
+  newsletter: ['newsletter'],
+  reminder: ['podcast-reminders']
+};
+
+function mailingList() {
+  const name = process.env.MAILING_LIST_PROVIDER || 'sender';
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown mailing list provider: ${name}`);
+  }
+  return provider;
+}
+
+function tagsForSource(source) {
+  return SOURCE_TAGS[source] || [];
+}
+
+module.exports = {
+  mailingList,
+  tagsForSource
+};
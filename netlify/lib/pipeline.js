@@ -0,0 +1,279 @@
+const { checkRateLimit, rateLimitHeaders } = require('./rate-limit');
+const { verifyHuman } = require('./bot-check');
+const { validate, parseJsonBody } = require('./validation');
+const { isAdminRequest } = require('./admin-auth');
+const { isOriginAllowed } = require('./cors');
+const { logger, runWithContext, addLogContext, newRequestId, flushErrorReports } = require('./logger');
+const { findApiKey, isKeyAllowedFor } = require('./api-keys');
+const { warnOnInvalidConfig } = require('./config');
+const { attributionSchema, extractAttribution } = require('./attribution');
+
+// Composable request pipeline shared by every function.
+//
+//   exports.default = createHandler({
+//     name: 'contact-form',
+//     steps: formSteps(contactSchema),
+//     handler: async (ctx) => ({ statusCode: 200, body: { success: true } })
+//   });
+//
+// createHandler() returns a Netlify Functions v2 handler ((Request, context) => Response), which
+// gets Netlify Blobs with strong consistency (see store.js). Steps and handlers see the request as
+// an event ({ httpMethod, headers, queryStringParameters, body, ... }) built by eventFromRequest().
+//
+// Steps run in order and receive the request context (ctx). A step either enriches ctx
+// (ctx.clientIP, ctx.isTrustedCaller, ctx.body, ctx.values, ...) or returns a response to stop.
+// Responses are { statusCode, body, headers? }; object bodies are sent as JSON and every
+// response gets the headers collected in ctx.headers (CORS, rate limit, X-Request-Id).
+// Uncaught errors become the standard 500 envelope.
+//
+// ctx.log is the structured logger (logger.js); every entry made while handling the request,
+// including from library code, carries its requestId.
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,128}$/;
+
+// Reuse the caller's or Netlify's request ID so logs can be correlated across systems
+function requestIdFor(event, context) {
+  const headers = (event && event.headers) || {};
+  const candidates = [headers['x-request-id'], headers['x-nf-request-id'], context && context.requestId];
+  return candidates.find((id) => id && REQUEST_ID_PATTERN.test(id)) || newRequestId();
+}
+
+// Header names are lowercase; the client IP from the Netlify context is the `client-ip` header
+async function eventFromRequest(request, context = {}) {
+  const url = new URL(request.url);
+  const headers = Object.fromEntries(request.headers);
+  if (context.ip) {
+    headers['client-ip'] = context.ip;
+  }
+
+  return {
+    httpMethod: request.method,
+    path: url.pathname,
+    rawUrl: request.url,
+    rawQuery: url.search.slice(1),
+    headers,
+    queryStringParameters: Object.fromEntries(url.searchParams),
+    body: (await request.text()) || null,
+    isBase64Encoded: false
+  };
+}
+
+function createHandler({ name, steps = [], handler }) {
+  return async (request, context) => {
+    const event = await eventFromRequest(request, context);
+    const requestId = requestIdFor(event, context);
+
+    return runWithContext({ requestId, function: name }, async () => {
+      const ctx = { name, event, context, requestId, log: logger, headers: { 'X-Request-Id': requestId } };
+      warnOnInvalidConfig();
+
+      try {
+        for (const step of steps) {
+          const response = await step(ctx);
+          if (response) {
+            return finalize(ctx, response);
+          }
+        }
+        return finalize(ctx, await handler(ctx));
+      } catch (error) {
+        logger.error('Function error', { error });
+        return finalize(ctx, {
+          statusCode: 500,
+          body: { error: 'Internal server error. Please try again later.' }
+        });
+      } finally {
+        await flushErrorReports();
+      }
+    });
+  };
+}
+
+function finalize(ctx, response) {
+  const isJson = typeof response.body !== 'string';
+  return new Response(isJson ? JSON.stringify(response.body) : response.body, {
+    status: response.statusCode,
+    headers: {
+      ...ctx.headers,
+      ...(isJson ? { 'Content-Type': 'application/json' } : {}),
+      ...response.headers
+    }
+  });
+}
+
+// --- Steps ---
+
+// CORS headers for all responses and the OPTIONS preflight (origin policy in cors.js).
+// Browser requests from other origins are rejected; requests without an Origin header
+// (server-to-server callers such as the VAPI agent) get no CORS headers.
+function cors() {
+  return (ctx) => {
+    const origin = ctx.event.headers.origin || ctx.event.headers.Origin;
+    ctx.headers.Vary = 'Origin';
+
+    if (origin) {
+      if (!isOriginAllowed(origin)) {
+        ctx.log.info('Origin not allowed', { origin });
+        return { statusCode: 403, body: { error: 'Origin not allowed' } };
+      }
+
+      Object.assign(ctx.headers, {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Expose-Headers': 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After, X-Request-Id',
+        'Access-Control-Max-Age': '86400'
+      });
+    }
+
+    if (ctx.event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, body: '' };
+    }
+  };
+}
+
+function allowMethods(...methods) {
+  return (ctx) => {
+    if (!methods.includes(ctx.event.httpMethod)) {
+      ctx.log.info('Method not allowed', { method: ctx.event.httpMethod });
+      return { statusCode: 405, body: { error: 'Method not allowed' } };
+    }
+  };
+}
+
+// Client IP and trusted callers (named API keys in x-api-key, see api-keys.js).
+// A key that is unknown or not scoped to this endpoint is rejected rather than ignored.
+function identifyCaller() {
+  return (ctx) => {
+    const headers = ctx.event.headers;
+    const presentedKey = headers['x-api-key'];
+
+    ctx.clientIP = headers['client-ip'] || headers['x-forwarded-for'] || 'unknown';
+    ctx.apiKey = null;
+    ctx.isTrustedCaller = false;
+
+    if (!presentedKey) {
+      return;
+    }
+
+    const apiKey = findApiKey(presentedKey);
+    if (!apiKey) {
+      ctx.log.warn('Invalid API key', { ip: ctx.clientIP });
+      return { statusCode: 401, body: { error: 'Invalid API key' } };
+    }
+    if (!isKeyAllowedFor(apiKey, ctx.name)) {
+      ctx.log.warn('API key not allowed for endpoint', { apiKey: apiKey.name });
+      return { statusCode: 403, body: { error: 'API key not allowed for this endpoint' } };
+    }
+
+    ctx.apiKey = apiKey;
+    ctx.isTrustedCaller = true;
+    addLogContext({ apiKey: apiKey.name });
+  };
+}
+
+// Per-endpoint rate limiting by IP; API keys use their own limit, if they have one
+function rateLimit() {
+  return async (ctx) => {
+    if (ctx.apiKey && !ctx.apiKey.rateLimit) {
+      return;
+    }
+
+    const result = ctx.apiKey
+      ? await checkRateLimit(ctx.name, `key:${ctx.apiKey.name}`, { limits: ctx.apiKey.rateLimit })
+      : await checkRateLimit(ctx.name, ctx.clientIP);
+
+    if (!result.allowed) {
+      ctx.log.warn('Rate limit exceeded', { ip: ctx.clientIP });
+      return {
+        statusCode: 429,
+        headers: rateLimitHeaders(result),
+        body: { error: 'Too many requests. Please wait before submitting again.' }
+      };
+    }
+  };
+}
+
+function parseJson() {
+  return (ctx) => {
+    ctx.body = parseJsonBody(ctx.event);
+    if (!ctx.body) {
+      ctx.log.info('Invalid JSON body');
+      return { statusCode: 400, body: { error: 'Invalid JSON body' } };
+    }
+  };
+}
+
+// Honeypot, time-to-submit and CAPTCHA (skipped for trusted callers). The schema limits what a
+// quarantined submission keeps (see bot-check.js).
+function botCheck(schema = {}) {
+  return async (ctx) => {
+    if (ctx.isTrustedCaller) {
+      return;
+    }
+
+    const result = await verifyHuman(ctx.name, ctx.body, ctx.clientIP, schema);
+    if (!result.ok) {
+      return { statusCode: result.statusCode, body: { error: result.message, reason: result.reason } };
+    }
+  };
+}
+
+// Validates ctx.body against a schema and exposes the cleaned values as ctx.values
+function validateBody(schema) {
+  return (ctx) => {
+    const validation = validate(schema, ctx.body);
+    if (!validation.valid) {
+      ctx.log.info('Validation failed', { fields: validation.errors.map((error) => `${error.field} (${error.code})`) });
+      return { statusCode: 422, body: { error: 'Validation failed', fields: validation.errors } };
+    }
+    ctx.values = validation.values;
+  };
+}
+
+// Moves the attribution fields (UTM, referrer, landing page) out of ctx.values into ctx.attribution
+function captureAttribution() {
+  return (ctx) => {
+    const { fields, attribution } = extractAttribution(ctx.values);
+    ctx.values = fields;
+    ctx.attribution = attribution;
+  };
+}
+
+function requireAdmin() {
+  return (ctx) => {
+    ctx.headers['Cache-Control'] = 'no-store';
+    if (!isAdminRequest(ctx.event)) {
+      return { statusCode: 401, body: { error: 'Unauthorized' } };
+    }
+  };
+}
+
+// Default protections for public form endpoints
+function formSteps(schema) {
+  return [
+    cors(),
+    allowMethods('POST'),
+    identifyCaller(),
+    rateLimit(),
+    parseJson(),
+    botCheck({ ...schema, ...attributionSchema }),
+    validateBody({ ...schema, ...attributionSchema }),
+    captureAttribution()
+  ];
+}
+
+module.exports = {
+  createHandler,
+  formSteps,
+  steps: {
+    cors,
+    allowMethods,
+    identifyCaller,
+    rateLimit,
+    parseJson,
+    botCheck,
+    validateBody,
+    captureAttribution,
+    requireAdmin
+  }
+};
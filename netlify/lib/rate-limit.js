@@ -0,0 +1,88 @@
+const { openStore } = require('./store');
+
+// Sliding-window rate limiting backed by the shared store, so limits survive cold starts and
+// every instance sees earlier requests. The read and write are not atomic (see store.js), so
+// requests arriving at the same moment can all pass.
+// Rejections are also counted per endpoint and UTC day (`rejections/<endpoint>/<date>`) for admin-stats.
+
+const HOUR = 60 * 60 * 1000;
+
+// Per-endpoint limits
+const RATE_LIMITS = {
+  'contact-form': { limit: 3, windowMs: HOUR },
+  'newsletter-signup': { limit: 3, windowMs: HOUR },
+  'reminder-form': { limit: 3, windowMs: HOUR }
+};
+
+const DEFAULT_LIMIT = { limit: 3, windowMs: HOUR };
+
+// Records a request for `identifier` (usually the client IP) on `endpoint`.
+// Requests over the limit are rejected and not recorded.
+async function checkRateLimit(endpoint, identifier, options = {}) {
+  const { limit, windowMs } = { ...DEFAULT_LIMIT, ...RATE_LIMITS[endpoint], ...options.limits };
+  const store = options.store || openStore('rate-limit');
+  const now = options.now || Date.now();
+  const key = `${endpoint}:${identifier}`;
+
+  const entry = await store.get(key);
+  const hits = ((entry && entry.hits) || []).filter((timestamp) => now - timestamp < windowMs);
+
+  const allowed = hits.length < limit;
+  if (allowed) {
+    hits.push(now);
+  }
+  await store.set(key, { hits });
+
+  if (!allowed) {
+    const counterKey = `rejections/${endpoint}/${new Date(now).toISOString().slice(0, 10)}`;
+    const counter = await store.get(counterKey);
+    await store.set(counterKey, { count: ((counter && counter.count) || 0) + 1 });
+  }
+
+  // The window frees up a slot when the oldest recorded hit expires
+  const resetMs = hits.length ? hits[0] + windowMs - now : windowMs;
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(0, limit - hits.length),
+    resetSeconds: Math.ceil(resetMs / 1000)
+  };
+}
+
+// Daily rejection counts as [{ endpoint, date, count }], optionally limited to dates (YYYY-MM-DD) in [from, to]
+async function listRateLimitRejections({ from = null, to = null, store = openStore('rate-limit') } = {}) {
+  const rejections = [];
+
+  for (const key of await store.list('rejections/')) {
+    const [, endpoint, date] = key.split('/');
+    if ((from && date < from) || (to && date > to)) {
+      continue;
+    }
+    const counter = await store.get(key);
+    rejections.push({ endpoint, date, count: (counter && counter.count) || 0 });
+  }
+  return rejections.sort((a, b) => a.date.localeCompare(b.date) || a.endpoint.localeCompare(b.endpoint));
+}
+
+// Standard RateLimit-* headers (IETF draft) plus Retry-After when rejected
+function rateLimitHeaders(result) {
+  const headers = {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.resetSeconds)
+  };
+
+  if (!result.allowed) {
+    headers['Retry-After'] = String(result.resetSeconds);
+  }
+
+  return headers;
+}
+
+module.exports = {
+  RATE_LIMITS,
+  checkRateLimit,
+  listRateLimitRejections,
+  rateLimitHeaders
+};
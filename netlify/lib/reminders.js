@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { openStore } = require('./store');
+const { DEFAULT_DURATION_MINUTES } = require('./calendar');
+
+// Podcast reminder records, written by reminder-form and delivered by send-reminders.
+// status: 'pending' until delivered, then 'sent'; 'failed' after MAX_ATTEMPTS delivery errors;
+// 'cancelled' when the recipient unsubscribes; 'suppressed' when the address is on the
+// suppression list at delivery time.
+// Pending reminders are stored under `pending/<id>` and move to `finished/<id>` with any other
+// status, so send-reminders only reads the ones still to deliver.
+// startsAt / durationMinutes describe the episode itself (used for the calendar invite);
+// without a startsAt the invite is placed at remindAt. episodeDescription comes from the
+// episodes feed (see episodes.js).
+
+const MAX_ATTEMPTS = 3;
+
+function remindersStore() {
+  return openStore('reminders');
+}
+
+async function saveReminder(reminder) {
+  const store = remindersStore();
+
+  if (reminder.status === 'pending') {
+    await store.set(`pending/${reminder.id}`, reminder);
+  } else {
+    await store.set(`finished/${reminder.id}`, reminder);
+    await store.delete(`pending/${reminder.id}`);
+  }
+  return reminder;
+}
+
+async function createReminder({ email, firstName, lastName, pageUrl, pageTitle, remindAt, startsAt, durationMinutes, episodeDescription }) {
+  const reminder = {
+    id: crypto.randomUUID(),
+    email,
+    firstName,
+    lastName,
+    pageUrl: pageUrl || null,
+    pageTitle: pageTitle || null,
+    remindAt: new Date(remindAt).toISOString(),
+    startsAt: startsAt ? new Date(startsAt).toISOString() : null,
+    durationMinutes: durationMinutes || DEFAULT_DURATION_MINUTES,
+    episodeDescription: episodeDescription || null,
+    status: 'pending',
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    sentAt: null,
+    lastError: null
+  };
+
+  return saveReminder(reminder);
+}
+
+async function listDueReminders(now = Date.now()) {
+  const store = remindersStore();
+  const keys = await store.list('pending/');
+  const due = [];
+
+  for (const key of keys) {
+    const reminder = await store.get(key);
+    if (reminder && reminder.status === 'pending' && new Date(reminder.remindAt).getTime() <= now) {
+      due.push(reminder);
+    }
+  }
+
+  return due.sort((a, b) => a.remindAt.localeCompare(b.remindAt));
+}
+
+async function markReminderSent(reminder, messageId) {
+  const updated = {
+    ...reminder,
+    status: 'sent',
+    attempts: reminder.attempts + 1,
+    sentAt: new Date().toISOString(),
+    messageId: messageId || null,
+    lastError: null
+  };
+
+  return saveReminder(updated);
+}
+
+async function markReminderFailed(reminder, errorMessage) {
+  const attempts = reminder.attempts + 1;
+  const updated = {
+    ...reminder,
+    status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+    attempts,
+    lastError: errorMessage
+  };
+
+  return saveReminder(updated);
+}
+
+async function markReminderSuppressed(reminder) {
+  const updated = { ...reminder, status: 'suppressed' };
+
+  return saveReminder(updated);
+}
+
+// Cancels pending reminders for an address, or deletes all of its reminders when `erase` is set.
+// Returns the number of reminders affected.
+async function cancelRemindersFor(email, { erase = false } = {}) {
+  const store = remindersStore();
+  const keys = await store.list(erase ? '' : 'pending/');
+  const target = email.trim().toLowerCase();
+  let affected = 0;
+
+  for (const key of keys) {
+    const reminder = await store.get(key);
+    if (!reminder || reminder.email.trim().toLowerCase() !== target) {
+      continue;
+    }
+
+    if (erase) {
+      await store.delete(key);
+      affected++;
+    } else if (reminder.status === 'pending') {
+      await saveReminder({ ...reminder, status: 'cancelled' });
+      affected++;
+    }
+  }
+
+  return affected;
+}
+
+// Calendar event (see calendar.js) for a reminder's episode
+function reminderCalendarEvent(reminder) {
+  const title = (reminder.pageTitle || 'iBuildWith.ai podcast').replace('| iBuildWith.ai', '').trim();
+
+  return {
+    uid: `${reminder.id}@ibuildwith.ai`,
+    title,
+    description: reminder.episodeDescription || `Your iBuildWith.ai podcast reminder for ${title}.`,
+    url: reminder.pageUrl,
+    startsAt: reminder.startsAt || reminder.remindAt,
+    durationMinutes: reminder.durationMinutes
+  };
+}
+
+// Display format used in emails, e.g. "March 4, 2026 at 09:00 AM PST"
+function formatReminderTime(isoDate) {
+  return new Date(isoDate).toLocaleString('en-US', {
+    timeZone: 'America/Los_Angeles',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  createReminder,
+  listDueReminders,
+  markReminderSent,
+  markReminderFailed,
+  markReminderSuppressed,
+  cancelRemindersFor,
+  reminderCalendarEvent,
+  formatReminderTime
+};
@@ -0,0 +1,135 @@
+// Sender.net mailing-list provider (see mailing-list.js for the interface).
+// Every call returns { status, errorDetails } where status is 'success', 'already_exists' (add only),
+// 'not_found', 'failed' or 'skipped' (no SENDER_API_TOKEN).
+//
+// Tags map to Sender.net groups; tags without a configured group ID are ignored.
+// SENDER_API_URL overrides the API base URL (e.g. a local stand-in, see scripts/local).
+
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'sender' });
+
+const DEFAULT_API_URL = 'https://api.sender.net/v2';
+
+const GROUP_ENV = {
+  newsletter: 'SENDER_NEWSLETTER_GROUP_ID',
+  'podcast-reminders': 'SENDER_REMINDERS_GROUP_ID'
+};
+
+function groupIds(tags = []) {
+  return tags.map((tag) => process.env[GROUP_ENV[tag]]).filter(Boolean);
+}
+
+async function addSubscriber({ email, firstName, lastName, tags = [] }) {
+  const result = await senderRequest('/subscribers', 'POST', {
+    email: email,
+    firstname: firstName,
+    lastname: lastName,
+    groups: groupIds(tags)
+  });
+
+  if (result.status === 'already_exists') {
+    log.info('Already subscribed to Sender.net', { email });
+    // Existing contacts still join the groups for this signup
+    const tagResult = await tagSubscriber(email, tags);
+    return tagResult.status === 'failed' ? tagResult : result;
+  }
+
+  if (result.status === 'success') {
+    log.info('Added to Sender.net', { email });
+  }
+  return result;
+}
+
+// Updates the contact's name
+async function updateSubscriber({ email, firstName, lastName }) {
+  return senderRequest(`/subscribers/${encodeURIComponent(email)}`, 'PATCH', {
+    firstname: firstName,
+    lastname: lastName
+  });
+}
+
+// Adds the contact to the groups for the given tags
+async function tagSubscriber(email, tags = []) {
+  for (const groupId of groupIds(tags)) {
+    const result = await senderRequest(`/subscribers/groups/${encodeURIComponent(groupId)}`, 'POST', {
+      subscribers: [email]
+    });
+    if (result.status === 'failed' || result.status === 'not_found') {
+      return result;
+    }
+  }
+  return { status: process.env.SENDER_API_TOKEN ? 'success' : 'skipped', errorDetails: '' };
+}
+
+// Marks the subscriber as unsubscribed in Sender.net, keeping the record
+async function unsubscribeSubscriber(email) {
+  return senderRequest(`/subscribers/${encodeURIComponent(email)}`, 'PATCH', {
+    subscriber_status: 'UNSUBSCRIBED'
+  });
+}
+
+// Verifies the API token and connectivity (used by the health function)
+async function checkConnection() {
+  return senderRequest('/groups', 'GET');
+}
+
+// Deletes the subscriber from Sender.net entirely (data erasure)
+async function deleteSubscriber(email) {
+  return senderRequest('/subscribers', 'DELETE', {
+    subscribers: [email]
+  });
+}
+
+async function senderRequest(path, method, body) {
+  if (!process.env.SENDER_API_TOKEN) {
+    log.warn('Sender.net API token not set. Skipping Sender.net integration.');
+    return { status: 'skipped', errorDetails: '' };
+  }
+
+  try {
+    const response = await fetch(`${process.env.SENDER_API_URL || DEFAULT_API_URL}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${process.env.SENDER_API_TOKEN}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: body && JSON.stringify(body),
+      signal: AbortSignal.timeout(5000) // 5 second timeout
+    });
+
+    if (response.status === 404) {
+      return { status: 'not_found', errorDetails: '' };
+    }
+
+    if (!response.ok) {
+      const responseData = await response.json().catch(() => ({}));
+
+      // Check if subscriber already exists
+      if (method === 'POST' && (response.status === 422 ||
+          (responseData.message && responseData.message.includes('already exists')))) {
+        return { status: 'already_exists', errorDetails: '' };
+      }
+
+      const errorDetails = `Status: ${response.status}, Message: ${responseData.message || response.statusText}`;
+      log.error('Sender.net API error', { method, status: response.status, error: new Error(errorDetails) });
+      return { status: 'failed', errorDetails };
+    }
+
+    return { status: 'success', errorDetails: '' };
+  } catch (senderError) {
+    log.error('Sender.net request failed', { method, error: senderError });
+    return { status: 'failed', errorDetails: senderError.message };
+  }
+}
+
+module.exports = {
+  name: 'Sender.net',
+  addSubscriber,
+  updateSubscriber,
+  tagSubscriber,
+  unsubscribeSubscriber,
+  deleteSubscriber,
+  checkConnection
+};
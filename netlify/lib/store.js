@@ -0,0 +1,79 @@
+const { getStore } = require('@netlify/blobs');
+
+// Key-value storage shared by all functions.
+// Backend is chosen with STORAGE_BACKEND: 'blobs' (Netlify Blobs, default) or 'memory' (tests / local dev).
+// Other backends (e.g. Redis) can be plugged in with setStoreFactory().
+//
+// Blobs reads use strong consistency, so a read sees every write made before it from any
+// instance. Netlify provides the credentials to v2 functions (see pipeline.js) in the environment.
+// Writes are last-write-wins: there is no atomic update, so two requests that read and write the
+// same key at the same moment can still overwrite each other.
+
+const memoryStores = new Map();
+let customFactory = null;
+
+function createMemoryStore() {
+  const data = new Map();
+
+  return {
+    async get(key) {
+      return data.has(key) ? JSON.parse(data.get(key)) : null;
+    },
+    async set(key, value) {
+      data.set(key, JSON.stringify(value));
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+    async list(prefix = '') {
+      return [...data.keys()].filter((key) => key.startsWith(prefix));
+    }
+  };
+}
+
+function createBlobStore(name) {
+  const store = getStore({ name, consistency: 'strong' });
+
+  return {
+    async get(key) {
+      return store.get(key, { type: 'json' });
+    },
+    async set(key, value) {
+      await store.setJSON(key, value);
+    },
+    async delete(key) {
+      await store.delete(key);
+    },
+    async list(prefix = '') {
+      const { blobs } = await store.list({ prefix });
+      return blobs.map((blob) => blob.key);
+    }
+  };
+}
+
+function openStore(name) {
+  if (customFactory) {
+    return customFactory(name);
+  }
+
+  if (process.env.STORAGE_BACKEND === 'memory') {
+    if (!memoryStores.has(name)) {
+      memoryStores.set(name, createMemoryStore());
+    }
+    return memoryStores.get(name);
+  }
+
+  return createBlobStore(name);
+}
+
+// Replace the storage backend, e.g. setStoreFactory((name) => createRedisStore(name)).
+// Pass null to go back to the STORAGE_BACKEND default.
+function setStoreFactory(factory) {
+  customFactory = factory;
+}
+
+module.exports = {
+  openStore,
+  setStoreFactory,
+  createMemoryStore
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { openStore } = require('./store');
+
+// Durable log of every form submission, written before anything is delivered.
+// Keys are `<endpoint>/<id>`; `deliveries` tracks the retryable jobs (see jobs.js) spawned from it.
+
+function submissionsStore() {
+  return openStore('submissions');
+}
+
+async function recordSubmission(endpoint, data, meta = {}) {
+  const id = crypto.randomUUID();
+  const submission = {
+    key: `${endpoint}/${id}`,
+    id,
+    endpoint,
+    createdAt: new Date().toISOString(),
+    data,
+    meta,
+    deliveries: {}
+  };
+
+  await submissionsStore().set(submission.key, submission);
+  return submission;
+}
+
+async function getSubmission(key) {
+  return submissionsStore().get(key);
+}
+
+// Adds details worked out after the submission was stored, such as the contact route
+async function addSubmissionMeta(key, meta) {
+  const submission = await getSubmission(key);
+  if (!submission) {
+    return null;
+  }
+
+  submission.meta = { ...submission.meta, ...meta };
+  await submissionsStore().set(key, submission);
+  return submission;
+}
+
+// Records the latest state of a delivery job on its submission
+async function recordDelivery(key, job) {
+  const submission = await getSubmission(key);
+  if (!submission) {
+    return null;
+  }
+
+  submission.deliveries[job.id] = {
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    result: job.result || null,
+    lastError: job.lastError
+  };
+
+  await submissionsStore().set(key, submission);
+  return submission;
+}
+
+// All submissions for one endpoint (or every endpoint), newest first
+async function listSubmissions(endpoint = null) {
+  const store = submissionsStore();
+  const keys = await store.list(endpoint ? `${endpoint}/` : '');
+  const submissions = [];
+
+  for (const key of keys) {
+    const submission = await store.get(key);
+    if (submission) {
+      submissions.push(submission);
+    }
+  }
+
+  return submissions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Whether any string in a value (searched recursively) contains the address, ignoring case
+function mentionsEmail(value, email) {
+  const escaped = email.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(?<![\\w.+-])${escaped}(?![\\w-]|\\.\\w)`, 'i');
+  const search = (item) => {
+    if (typeof item === 'string') {
+      return pattern.test(item);
+    }
+    return Boolean(item) && typeof item === 'object' && Object.values(item).some(search);
+  };
+  return search(value);
+}
+
+// Deletes every submission made with an address (data.email); returns the deleted keys
+async function eraseSubmissionsFor(email) {
+  const store = submissionsStore();
+  const target = email.trim().toLowerCase();
+  const erased = [];
+
+  for (const key of await store.list()) {
+    const submission = await store.get(key);
+    if (submission && String(submission.data.email || '').trim().toLowerCase() === target) {
+      await store.delete(key);
+      erased.push(key);
+    }
+  }
+
+  return erased;
+}
+
+// Mailing-list outcome derived from the submission's add-subscriber (or tag-subscriber) job:
+// the job's result once done, 'queued' while retrying, 'failed' when dead-lettered,
+// 'unconfirmed' for signups that haven't confirmed yet, null for contact messages.
+const SUBSCRIBER_JOBS = ['add-subscriber', 'tag-subscriber'];
+
+function senderStatusOf(submission) {
+  const job = Object.values(submission.deliveries || {}).find((delivery) => SUBSCRIBER_JOBS.includes(delivery.type));
+
+  if (job) {
+    if (job.status === 'done') {
+      return job.result && job.result.senderStatus;
+    }
+    return job.status === 'dead' ? 'failed' : 'queued';
+  }
+
+  return submission.endpoint === 'contact-form' ? null : 'unconfirmed';
+}
+
+module.exports = {
+  recordSubmission,
+  getSubmission,
+  addSubmissionMeta,
+  recordDelivery,
+  listSubmissions,
+  mentionsEmail,
+  eraseSubmissionsFor,
+  senderStatusOf
+};
@@ -0,0 +1,121 @@
+const { openStore } = require('./store');
+const { signToken } = require('./tokens');
+
+// Double opt-in newsletter subscriptions, keyed by lowercased email.
+// A record stays 'pending' until the owner clicks the emailed confirmation link,
+// and only confirm-subscription adds it to Sender.net.
+// Opt-outs ('unsubscribed', 'bounced', 'complained') come from our unsubscribe link or
+// from Sender.net webhooks (sender-webhook).
+
+const CONFIRMATION_TTL_SECONDS = 48 * 60 * 60; // 48 hours
+const UNSUBSCRIBE_TTL_SECONDS = 365 * 24 * 60 * 60; // 1 year, unsubscribe links must keep working
+
+function subscriptionsStore() {
+  return openStore('subscriptions');
+}
+
+function subscriptionKey(email) {
+  return email.trim().toLowerCase();
+}
+
+async function getSubscription(email) {
+  return subscriptionsStore().get(subscriptionKey(email));
+}
+
+// Stores (or refreshes) a pending subscription. Confirmed subscriptions are left untouched.
+async function createPendingSubscription({ email, firstName, lastName, source, submissionKey = null }) {
+  const existing = await getSubscription(email);
+  if (existing && existing.status === 'confirmed') {
+    return existing;
+  }
+
+  const subscription = {
+    email: subscriptionKey(email),
+    firstName,
+    lastName,
+    source,
+    submissionKey,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    confirmedAt: null,
+    senderStatus: null
+  };
+
+  await subscriptionsStore().set(subscription.email, subscription);
+  return subscription;
+}
+
+// senderStatus starts as 'queued' and is set by the add-subscriber job (see jobs.js)
+async function confirmSubscription(subscription) {
+  const updated = {
+    ...subscription,
+    status: 'confirmed',
+    confirmedAt: new Date().toISOString(),
+    senderStatus: 'queued'
+  };
+
+  await subscriptionsStore().set(subscription.email, updated);
+  return updated;
+}
+
+async function setSenderStatus(email, senderStatus) {
+  const existing = await getSubscription(email);
+  if (existing) {
+    await subscriptionsStore().set(existing.email, { ...existing, senderStatus });
+  }
+}
+
+async function unsubscribe(email) {
+  return recordOptOut(email, 'unsubscribed');
+}
+
+// status: 'unsubscribed', 'bounced' or 'complained' (spam report)
+async function recordOptOut(email, status, source = 'unsubscribe-link') {
+  const existing = await getSubscription(email);
+  const updated = {
+    ...(existing || { email: subscriptionKey(email), createdAt: new Date().toISOString() }),
+    status,
+    optOutSource: source,
+    unsubscribedAt: new Date().toISOString()
+  };
+
+  await subscriptionsStore().set(updated.email, updated);
+  return updated;
+}
+
+async function deleteSubscription(email) {
+  await subscriptionsStore().delete(subscriptionKey(email));
+}
+
+// Signed link the owner of the address must click before we add them to the list
+function confirmationUrl(email) {
+  const token = signToken('confirm-subscription', { email: subscriptionKey(email) }, CONFIRMATION_TTL_SECONDS);
+  // URL is the site's main address, set by Netlify at runtime
+  return `${process.env.URL}/.netlify/functions/confirm-subscription?token=${encodeURIComponent(token)}`;
+}
+
+function unsubscribeUrl(email) {
+  const token = signToken('unsubscribe', { email: subscriptionKey(email) }, UNSUBSCRIBE_TTL_SECONDS);
+  return `${process.env.URL}/.netlify/functions/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+// RFC 2369 / RFC 8058 headers for outgoing emails, so mail clients can offer one-click unsubscribe
+function listUnsubscribeHeaders(email) {
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl(email)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+module.exports = {
+  getSubscription,
+  createPendingSubscription,
+  confirmSubscription,
+  setSenderStatus,
+  unsubscribe,
+  recordOptOut,
+  deleteSubscription,
+  confirmationUrl,
+  unsubscribeUrl,
+  listUnsubscribeHeaders
+};
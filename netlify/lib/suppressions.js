@@ -0,0 +1,96 @@
+const { openStore } = require('./store');
+const { routeAddresses } = require('./contact-routing');
+
+// Suppression list: addresses we must not email because they hard-bounced or reported spam.
+// Fed by the Resend (resend-webhook) and Sender.net (sender-webhook) webhooks and enforced by
+// mailer.sendEmail(), so every send path skips suppressed recipients.
+// Keyed by lowercased email: { email, reason: 'bounced' | 'complained', source, details, createdAt }.
+// Our own inboxes (RECIPIENT_EMAIL, REMINDER_ADMIN_EMAIL and the contact routes) are never
+// suppressed, so a bounced notification can't silence contact messages and alerts.
+
+function suppressionsStore() {
+  return openStore('suppressions');
+}
+
+function suppressionKey(email) {
+  return String(email).trim().toLowerCase();
+}
+
+function isInternalAddress(email) {
+  return [process.env.RECIPIENT_EMAIL, process.env.REMINDER_ADMIN_EMAIL, ...routeAddresses()]
+    .filter(Boolean)
+    .map(suppressionKey)
+    .includes(suppressionKey(email));
+}
+
+async function getSuppression(email) {
+  return suppressionsStore().get(suppressionKey(email));
+}
+
+// Returns the suppression, or null for an internal address
+async function suppress(email, reason, { source, details = null } = {}) {
+  if (isInternalAddress(email)) {
+    return null;
+  }
+
+  const existing = await getSuppression(email);
+  if (existing) {
+    return existing;
+  }
+
+  const suppression = {
+    email: suppressionKey(email),
+    reason,
+    source,
+    details,
+    createdAt: new Date().toISOString()
+  };
+
+  await suppressionsStore().set(suppression.email, suppression);
+  return suppression;
+}
+
+async function unsuppress(email) {
+  await suppressionsStore().delete(suppressionKey(email));
+}
+
+async function listSuppressions() {
+  const store = suppressionsStore();
+  const suppressions = [];
+
+  for (const key of await store.list()) {
+    const suppression = await store.get(key);
+    if (suppression) {
+      suppressions.push(suppression);
+    }
+  }
+  return suppressions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Splits recipients ("a@b.co" or "Name <a@b.co>") into allowed and suppressed addresses.
+// Internal addresses are always allowed.
+async function partitionRecipients(recipients = []) {
+  const allowed = [];
+  const suppressed = [];
+
+  for (const recipient of [].concat(recipients).filter(Boolean)) {
+    const match = String(recipient).match(/<([^>]+)>/);
+    const address = match ? match[1] : recipient;
+    const suppression = !isInternalAddress(address) && await getSuppression(address);
+    if (suppression) {
+      suppressed.push(suppression);
+    } else {
+      allowed.push(recipient);
+    }
+  }
+  return { allowed, suppressed };
+}
+
+module.exports = {
+  isInternalAddress,
+  getSuppression,
+  suppress,
+  unsuppress,
+  listSuppressions,
+  partitionRecipients
+};
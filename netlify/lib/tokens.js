@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+// Signed, expiring tokens for links we email out (e.g. subscription confirmation).
+// Format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256), signed with TOKEN_SECRET.
+
+function getSecret() {
+  if (!process.env.TOKEN_SECRET) {
+    throw new Error('TOKEN_SECRET is not set');
+  }
+  return process.env.TOKEN_SECRET;
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+// `purpose` is embedded so a token issued for one flow can't be replayed against another
+function signToken(purpose, data, ttlSeconds) {
+  const payload = {
+    ...data,
+    purpose,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+// Returns the payload, or null when the token is malformed, tampered with, expired or for another purpose
+function verifyToken(purpose, token) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return null;
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature || '');
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== purpose || payload.exp < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return payload;
+}
+
+module.exports = {
+  signToken,
+  verifyToken
+};
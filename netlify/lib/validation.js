@@ -0,0 +1,105 @@
+// Declarative request validation.
+//
+// A schema maps field names to rules:
+//   { type: 'string', required: true, maxLength: 100, format: 'email' | 'url' | 'datetime', oneOf: [...],
+//     check: (value) => null | { code, message } }
+// Strings are trimmed before checks. validate() returns the cleaned values (schema fields only)
+// and a list of { field, code, message } errors our frontend can map to inputs.
+
+// Basic email validation - requires valid TLD (min 2 characters)
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[a-zA-Z]{2,}$/;
+
+const FORMAT_CHECKS = {
+  email: (value) => EMAIL_REGEX.test(value),
+  url: (value) => {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+      return false;
+    }
+  },
+  datetime: (value) => !Number.isNaN(new Date(value).getTime())
+};
+
+const FORMAT_MESSAGES = {
+  email: 'Invalid email format',
+  url: 'Must be a valid http(s) URL',
+  datetime: 'Must be an ISO 8601 date/time'
+};
+
+function validateField(field, rules, rawValue) {
+  if (rawValue === undefined || rawValue === null || rawValue === '') {
+    return rules.required ? { field, code: 'required', message: `${field} is required` } : null;
+  }
+
+  if (typeof rawValue !== rules.type) {
+    return { field, code: 'type', message: `${field} must be a ${rules.type}` };
+  }
+
+  const value = rules.type === 'string' ? rawValue.trim() : rawValue;
+
+  if (rules.type === 'string') {
+    if (value === '') {
+      return rules.required ? { field, code: 'required', message: `${field} is required` } : null;
+    }
+    if (rules.maxLength && value.length > rules.maxLength) {
+      return { field, code: 'max_length', message: `${field} must be at most ${rules.maxLength} characters` };
+    }
+  }
+
+  if (rules.format && !FORMAT_CHECKS[rules.format](value)) {
+    return { field, code: 'format', message: FORMAT_MESSAGES[rules.format] };
+  }
+
+  if (rules.oneOf && !rules.oneOf.includes(value)) {
+    return { field, code: 'one_of', message: `${field} must be one of: ${rules.oneOf.join(', ')}` };
+  }
+
+  if (rules.check) {
+    const error = rules.check(value);
+    if (error) {
+      return { field, ...error };
+    }
+  }
+
+  return null;
+}
+
+function validate(schema, data) {
+  const values = {};
+  const errors = [];
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const error = validateField(field, rules, data[field]);
+
+    if (error) {
+      errors.push(error);
+    } else if (data[field] !== undefined && data[field] !== null && data[field] !== '') {
+      values[field] = typeof data[field] === 'string' ? data[field].trim() : data[field];
+    }
+  }
+
+  return { valid: errors.length === 0, values, errors };
+}
+
+// Parses a JSON object body; returns null when the body is missing, malformed or not an object
+function parseJsonBody(event) {
+  if (!event.body) {
+    return null;
+  }
+
+  try {
+    const body = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+    const data = JSON.parse(body);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  EMAIL_REGEX,
+  validate,
+  parseJsonBody
+};
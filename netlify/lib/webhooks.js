@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+// Outbound webhooks for submission events.
+//
+// WEBHOOKS is a JSON array:
+//   [{ "name": "slack", "url": "https://hooks.slack.com/services/...", "events": ["contact.submitted"],
+//      "format": "slack" },
+//    { "name": "crm", "url": "https://crm.example.com/hooks/ibuildwith", "events": ["*"],
+//      "secret": "whsec_..." }]
+//
+// format  - 'json' (default): the signed event envelope below
+//           'slack' / 'discord': a readable message for incoming-webhook URLs
+// secret  - signs the request body; required for 'json', which is never sent unsigned
+//
+// Event envelope: { id, type, createdAt, data }. Headers:
+//   X-Webhook-Id, X-Webhook-Event, X-Webhook-Timestamp (unix seconds)
+//   X-Webhook-Signature: v1=<hex HMAC-SHA256 of `${timestamp}.${body}` with the webhook secret>
+// The id stays the same across retries so receivers can de-duplicate.
+
+const EVENT_TYPES = ['contact.submitted', 'newsletter.signup', 'reminder.created'];
+
+function configuredWebhooks() {
+  if (!process.env.WEBHOOKS) {
+    return [];
+  }
+
+  try {
+    return JSON.parse(process.env.WEBHOOKS);
+  } catch (error) {
+    throw new Error('WEBHOOKS is not valid JSON');
+  }
+}
+
+function webhooksFor(type) {
+  return configuredWebhooks().filter((webhook) => {
+    const events = webhook.events || ['*'];
+    return events.includes('*') || events.includes(type);
+  });
+}
+
+// 'json' webhooks carry the full submission, so they must be signed
+function needsSecret(webhook) {
+  return (webhook.format || 'json') === 'json';
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function summary(event) {
+  const data = event.data;
+  const name = `${data.firstName || ''} ${data.lastName || ''}`.trim();
+
+  switch (event.type) {
+    case 'contact.submitted':
+      return `New contact message from ${name} (${data.email})${data.reason ? `, reason: ${data.reason}` : ''}\n>>> ${data.message}`;
+    case 'newsletter.signup':
+      return `New newsletter signup: ${name}, ${data.email} (${data.alreadyConfirmed ? 'already subscribed' : 'pending confirmation'})`;
+    case 'reminder.created':
+      return `New podcast reminder: ${name} (${data.email}) for ${data.pageTitle || data.pageUrl || 'a page'} at ${data.remindAt}`;
+    default:
+      return `${event.type}: ${JSON.stringify(data)}`;
+  }
+}
+
+function formatBody(webhook, event) {
+  if (webhook.format === 'slack') {
+    // Slack treats &, < and > as control characters
+    const text = summary(event).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return JSON.stringify({ text: text.replace(/\n&gt;&gt;&gt; /, '\n>>> ') });
+  }
+  if (webhook.format === 'discord') {
+    return JSON.stringify({ content: summary(event).slice(0, 2000) });
+  }
+  return JSON.stringify(event);
+}
+
+// Delivers one event to one webhook (the 'send-webhook' job); throws so the job is retried
+async function deliverWebhook({ webhook: name, event }) {
+  const webhook = configuredWebhooks().find((candidate) => candidate.name === name);
+  if (!webhook) {
+    throw new Error(`Webhook ${name} is no longer configured`);
+  }
+  if (needsSecret(webhook) && !webhook.secret) {
+    throw new Error(`Webhook ${name} has no secret, refusing to send an unsigned event`);
+  }
+
+  const body = formatBody(webhook, event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'ibuildwithai-backend-webhooks',
+    'X-Webhook-Id': event.id,
+    'X-Webhook-Event': event.type,
+    'X-Webhook-Timestamp': String(timestamp)
+  };
+  if (webhook.secret) {
+    headers['X-Webhook-Signature'] = `v1=${signPayload(webhook.secret, timestamp, body)}`;
+  }
+
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(5000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook ${name} returned ${response.status}`);
+  }
+  return { webhook: name, status: response.status };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  configuredWebhooks,
+  webhooksFor,
+  needsSecret,
+  signPayload,
+  deliverWebhook
+};
@@ -0,0 +1,19 @@
+// Prints a signed admin token for the admin endpoints, valid for a few hours, so the
+// ADMIN_API_SECRET itself doesn't have to be shared. Needs the deployment's TOKEN_SECRET.
+// Usage: TOKEN_SECRET=... npm run -s admin-token -- [hours]   (default 1, at most 24)
+//   curl -H "Authorization: Bearer $(TOKEN_SECRET=... npm run -s admin-token)" https://.../.netlify/functions/admin-stats
+
+const { signAdminToken, MAX_ADMIN_TOKEN_HOURS } = require('../netlify/lib/admin-auth');
+
+const hours = Number(process.argv[2] || 1);
+
+if (!process.env.TOKEN_SECRET) {
+  console.error('TOKEN_SECRET must be set to the value used by the deployment');
+  process.exit(1);
+}
+if (!(hours > 0 && hours <= MAX_ADMIN_TOKEN_HOURS)) {
+  console.error(`Usage: npm run -s admin-token -- [hours]   (hours between 0 and ${MAX_ADMIN_TOKEN_HOURS})`);
+  process.exit(1);
+}
+
+console.log(signAdminToken(hours));
@@ -0,0 +1,23 @@
+// Generates a new API key and prints the API_KEYS entry to add (only the hash is stored).
+// Usage: npm run api-key -- <name> [endpoint ...]
+//   npm run api-key -- vapi reminder-form contact-form
+
+const crypto = require('crypto');
+const { hashApiKey } = require('../netlify/lib/api-keys');
+
+const [name, ...endpoints] = process.argv.slice(2);
+
+if (!name) {
+  console.error('Usage: npm run api-key -- <name> [endpoint ...]');
+  process.exit(1);
+}
+
+const key = crypto.randomBytes(32).toString('base64url');
+const entry = {
+  name,
+  hash: hashApiKey(key),
+  endpoints: endpoints.length ? endpoints : ['*']
+};
+
+console.log(`API key for "${name}" (give this to the caller; it is not stored anywhere):\n\n${key}\n`);
+console.log(`Add this entry to the API_KEYS array:\n\n${JSON.stringify(entry)}`);
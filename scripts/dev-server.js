@@ -0,0 +1,58 @@
+// Serves the Netlify functions locally at http://localhost:<port>/.netlify/functions/<name>,
+// without the Netlify CLI or provider credentials.
+// Usage: npm run dev [-- --port 8888] [-- --fakes]
+//   --fakes  starts the Resend and Sender.net stand-ins (scripts/local) and points the functions at them
+//
+// Unless set in the environment (e.g. `node --env-file=.env scripts/dev-server.js`), storage is
+// in memory, emails are printed to the console and the required settings get local defaults.
+
+const { createDevServer, functionNames } = require('./local/runner');
+const { createFakeResend } = require('./local/fake-resend');
+const { createFakeSender } = require('./local/fake-sender');
+
+const args = process.argv.slice(2);
+const portIndex = args.indexOf('--port');
+const port = Number(portIndex >= 0 ? args[portIndex + 1] : process.env.PORT || 8888);
+const useFakes = args.includes('--fakes');
+
+const LOCAL_DEFAULTS = {
+  STORAGE_BACKEND: 'memory',
+  EMAIL_PROVIDER: 'console',
+  URL: `http://localhost:${port}`,
+  TOKEN_SECRET: 'local-development-secret',
+  ADMIN_API_SECRET: 'local-admin-secret',
+  RECIPIENT_EMAIL: 'admin@example.com',
+  REMINDER_ADMIN_EMAIL: 'admin@example.com',
+  CORS_ALLOWED_ORIGINS: 'http://localhost:*,https://ibuildwith.ai,https://www.ibuildwith.ai',
+  REMINDER_PAGE_ORIGINS: 'http://localhost:*,https://ibuildwith.ai,https://www.ibuildwith.ai'
+};
+
+async function main() {
+  if (useFakes) {
+    const resend = createFakeResend();
+    const sender = createFakeSender();
+    await Promise.all([resend.start(), sender.start()]);
+
+    Object.assign(process.env, {
+      EMAIL_PROVIDER: 'resend',
+      RESEND_API_KEY: 're_local',
+      RESEND_BASE_URL: resend.url,
+      SENDER_API_TOKEN: 'local',
+      SENDER_API_URL: sender.url
+    });
+    console.log(`Fake Resend at ${resend.url}, fake Sender.net at ${sender.url}`);
+  }
+
+  for (const [name, value] of Object.entries(LOCAL_DEFAULTS)) {
+    if (!process.env[name]) {
+      process.env[name] = value;
+    }
+  }
+
+  createDevServer().listen(port, () => {
+    console.log(`Functions at http://localhost:${port}/.netlify/functions/`);
+    console.log(functionNames().map((name) => `  ${name}`).join('\n'));
+  });
+}
+
+main();
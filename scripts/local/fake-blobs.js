@@ -0,0 +1,61 @@
+const { createFakeServer } = require('./fake-server');
+
+// Stand-in for the Netlify Blobs edge API, as used by v2 functions (strong consistency reads go
+// to the uncached edge URL, which is the same server here).
+// Answers GET/PUT/DELETE /<siteID>/site:<store>/<key> and lists keys with GET /<siteID>/site:<store>?prefix=.
+// Stored values are kept in `blobs` (store name => Map of key => raw body).
+
+const BLOB_PATH = /^\/[^/]+\/site:([^/]+)(?:\/(.+))?$/;
+
+function createFakeBlobs() {
+  const blobs = new Map();
+
+  const fake = createFakeServer('Netlify Blobs', (call) => {
+    const match = call.path.match(BLOB_PATH);
+    if (!call.headers.authorization || !match) {
+      return { status: 401, body: { error: 'Unauthorized' } };
+    }
+
+    const [, storeName, rawKey] = match;
+    const store = blobs.get(storeName) || new Map();
+    blobs.set(storeName, store);
+    const key = rawKey && decodeURIComponent(rawKey);
+
+    if (!key && call.method === 'GET') {
+      const prefix = call.query.prefix || '';
+      const keys = [...store.keys()].filter((candidate) => candidate.startsWith(prefix));
+      return { status: 200, body: { blobs: keys.map((candidate) => ({ key: candidate, etag: candidate })), directories: [] } };
+    }
+    if (call.method === 'GET') {
+      return store.has(key) ? { status: 200, body: store.get(key) } : { status: 404, body: null };
+    }
+    if (call.method === 'PUT') {
+      store.set(key, call.body);
+      return { status: 200, body: null };
+    }
+    if (call.method === 'DELETE') {
+      store.delete(key);
+      return { status: 204, body: null };
+    }
+    return { status: 405, body: null };
+  });
+
+  const resetServer = fake.reset;
+  return Object.assign(fake, {
+    blobs,
+    reset() {
+      resetServer();
+      blobs.clear();
+    },
+
+    // The NETLIFY_BLOBS_CONTEXT Netlify sets in the environment of a v2 function
+    environmentContext({ siteID = 'site-test', deployID = 'deploy-test', token = 'blobs-test-token' } = {}) {
+      const context = { edgeURL: fake.url, uncachedEdgeURL: fake.url, siteID, deployID, token };
+      return Buffer.from(JSON.stringify(context)).toString('base64');
+    }
+  });
+}
+
+module.exports = {
+  createFakeBlobs
+};
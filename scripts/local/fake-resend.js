@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { createFakeServer } = require('./fake-server');
+
+// Stand-in for the Resend API (point RESEND_BASE_URL at it).
+// Accepts POST /emails, keeping each sent message in `emails`, and GET /domains for health checks.
+
+function createFakeResend() {
+  const emails = [];
+
+  const fake = createFakeServer('Resend', (call) => {
+    if (!call.headers.authorization) {
+      return { status: 401, body: { name: 'missing_api_key', message: 'Missing API key' } };
+    }
+
+    if (call.method === 'POST' && call.path === '/emails') {
+      const id = crypto.randomUUID();
+      emails.push({ id, ...call.body });
+      return { status: 200, body: { id } };
+    }
+
+    if (call.method === 'GET' && call.path === '/domains') {
+      return { status: 200, body: { data: [] } };
+    }
+
+    return { status: 404, body: { name: 'not_found', message: 'Not found' } };
+  });
+
+  const resetServer = fake.reset;
+  return Object.assign(fake, {
+    emails,
+    reset() {
+      resetServer();
+      emails.length = 0;
+    }
+  });
+}
+
+module.exports = {
+  createFakeResend
+};
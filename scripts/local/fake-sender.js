@@ -0,0 +1,82 @@
+const { createFakeServer } = require('./fake-server');
+
+// Stand-in for the Sender.net API (point SENDER_API_URL at it).
+// Keeps subscribers in `subscribers` (email -> { email, firstname, lastname, groups, status })
+// and answers like Sender.net: 422 when adding an existing subscriber, 404 for unknown ones.
+
+function createFakeSender() {
+  const subscribers = new Map();
+
+  const fake = createFakeServer('Sender.net', (call) => {
+    if (!call.headers.authorization) {
+      return { status: 401, body: { message: 'Unauthenticated.' } };
+    }
+
+    const body = call.body || {};
+    const subscriberMatch = call.path.match(/^\/subscribers\/([^/]+)$/);
+    const groupMatch = call.path.match(/^\/subscribers\/groups\/([^/]+)$/);
+
+    if (call.method === 'GET' && call.path === '/groups') {
+      return { status: 200, body: { data: [] } };
+    }
+
+    if (call.method === 'POST' && call.path === '/subscribers') {
+      if (subscribers.has(body.email)) {
+        return { status: 422, body: { success: false, message: 'The subscriber already exists' } };
+      }
+      const subscriber = {
+        email: body.email,
+        firstname: body.firstname,
+        lastname: body.lastname,
+        groups: body.groups || [],
+        status: 'ACTIVE'
+      };
+      subscribers.set(body.email, subscriber);
+      return { status: 200, body: { success: true, data: subscriber } };
+    }
+
+    if (call.method === 'PATCH' && subscriberMatch) {
+      const subscriber = subscribers.get(decodeURIComponent(subscriberMatch[1]));
+      if (!subscriber) {
+        return { status: 404, body: { success: false, message: 'Subscriber not found' } };
+      }
+      subscriber.firstname = body.firstname || subscriber.firstname;
+      subscriber.lastname = body.lastname || subscriber.lastname;
+      subscriber.status = body.subscriber_status || subscriber.status;
+      return { status: 200, body: { success: true, data: subscriber } };
+    }
+
+    if (call.method === 'POST' && groupMatch) {
+      const groupId = decodeURIComponent(groupMatch[1]);
+      for (const email of body.subscribers || []) {
+        const subscriber = subscribers.get(email);
+        if (subscriber && !subscriber.groups.includes(groupId)) {
+          subscriber.groups.push(groupId);
+        }
+      }
+      return { status: 200, body: { success: true } };
+    }
+
+    if (call.method === 'DELETE' && call.path === '/subscribers') {
+      for (const email of body.subscribers || []) {
+        subscribers.delete(email);
+      }
+      return { status: 200, body: { success: true } };
+    }
+
+    return { status: 404, body: { message: 'Not found' } };
+  });
+
+  const resetServer = fake.reset;
+  return Object.assign(fake, {
+    subscribers,
+    reset() {
+      resetServer();
+      subscribers.clear();
+    }
+  });
+}
+
+module.exports = {
+  createFakeSender
+};
@@ -0,0 +1,102 @@
+const http = require('http');
+
+// Minimal in-process HTTP stand-in for a third-party API (see fake-resend.js, fake-sender.js).
+//
+// `route(call)` answers each request with { status, body }, where call is
+// { method, path, query, headers, body }. Every call is recorded in `calls`.
+// Failures can be queued for upcoming requests, optionally only for one method and path:
+//   fake.fail({ status: 500 })                                   next request gets a 500
+//   fake.fail({ status: 422, body: { message: '...' }, method: 'POST', path: '/subscribers' })
+//   fake.fail({ timeout: true, times: 2 })                       next 2 requests never get an answer
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function parseBody(raw) {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    return raw;
+  }
+}
+
+function createFakeServer(name, route) {
+  const calls = [];
+  let failures = [];
+  let url = null;
+
+  function takeFailure(call) {
+    const failure = failures.find((candidate) => (!candidate.method || candidate.method === call.method) &&
+      (!candidate.path || candidate.path === call.path));
+    if (failure && --failure.times <= 0) {
+      failures = failures.filter((candidate) => candidate !== failure);
+    }
+    return failure;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const call = {
+      method: req.method,
+      path: pathname,
+      query: Object.fromEntries(searchParams),
+      headers: req.headers,
+      body: parseBody(await readBody(req))
+    };
+    calls.push(call);
+
+    const failure = takeFailure(call);
+    if (failure && failure.timeout) {
+      return; // left hanging until the client gives up or the server stops
+    }
+
+    const { status, body } = failure
+      ? { status: failure.status, body: failure.body || { name: 'simulated_error', message: `Simulated ${failure.status} from ${name}` } }
+      : route(call);
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+
+  return {
+    name,
+    calls,
+    get url() {
+      return url;
+    },
+
+    start() {
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+          url = `http://127.0.0.1:${server.address().port}`;
+          resolve(url);
+        });
+      });
+    },
+
+    stop() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+
+    fail({ status = 500, body = null, timeout = false, method = null, path = null, times = 1 } = {}) {
+      failures.push({ status, body, timeout, method, path, times });
+    },
+
+    // Clears recorded calls and queued failures
+    reset() {
+      calls.length = 0;
+      failures = [];
+    }
+  };
+}
+
+module.exports = {
+  createFakeServer
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Runs the Netlify functions in-process with Netlify-shaped requests, for the dev server
+// (scripts/dev-server.js) and the tests. Functions are loaded on first use, so environment
+// variables such as RESEND_BASE_URL can be set before any provider SDK is required.
+//
+//   const response = await invoke('contact-form', { method: 'POST', headers: { origin }, body: { ... } });
+//   response.statusCode, response.headers, response.body, response.json
+
+const FUNCTIONS_DIR = path.join(__dirname, '..', '..', 'netlify', 'functions');
+const FUNCTION_NAME = /^[a-z0-9-]+$/;
+
+function functionNames() {
+  return fs.readdirSync(FUNCTIONS_DIR)
+    .filter((file) => file.endsWith('.js'))
+    .map((file) => file.slice(0, -3));
+}
+
+function loadHandler(name) {
+  if (!FUNCTION_NAME.test(name) || !functionNames().includes(name)) {
+    return null;
+  }
+  return require(path.join(FUNCTIONS_DIR, `${name}.js`)).default;
+}
+
+// Builds the Request and context Netlify passes to a v2 function. Object bodies are sent as JSON;
+// the client IP is on the context, as in production.
+function toRequest({ method = 'GET', path: requestPath = '/', headers = {}, query = {}, body = null, clientIP = '127.0.0.1' }) {
+  const requestHeaders = new Headers();
+  for (const [name, value] of Object.entries(headers)) {
+    requestHeaders.set(name, [].concat(value).join(', '));
+  }
+
+  let requestBody = body;
+  if (body !== null && typeof body === 'object') {
+    requestBody = JSON.stringify(body);
+    if (!requestHeaders.has('content-type')) {
+      requestHeaders.set('content-type', 'application/json');
+    }
+  }
+
+  const rawQuery = new URLSearchParams(query).toString();
+  const request = new Request(`http://localhost${requestPath}${rawQuery ? `?${rawQuery}` : ''}`, {
+    method,
+    headers: requestHeaders,
+    body: ['GET', 'HEAD'].includes(method) ? null : requestBody
+  });
+  return { request, context: { ip: clientIP, requestId: null } };
+}
+
+// Calls a function by name; resolves to { statusCode, headers, body, json } with lowercase
+// header names and `json` the parsed body, when JSON
+async function invoke(name, options = {}) {
+  const handler = loadHandler(name);
+  if (!handler) {
+    throw new Error(`Unknown function: ${name}`);
+  }
+
+  const { request, context } = toRequest({ path: `/.netlify/functions/${name}`, ...options });
+  const response = await handler(request, context);
+  const body = await response.text();
+
+  let json = null;
+  try {
+    json = JSON.parse(body);
+  } catch (error) {
+    // not a JSON response
+  }
+  return { statusCode: response.status, headers: Object.fromEntries(response.headers), body, json };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// HTTP server routing /.netlify/functions/<name> to the handlers, like `netlify dev`
+function createDevServer() {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/\.netlify\/functions\/([^/]+)\/?$/);
+    const handler = match && loadHandler(match[1]);
+
+    if (!handler) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Function not found', functions: functionNames() }));
+      return;
+    }
+
+    try {
+      const { request, context } = toRequest({
+        method: req.method,
+        path: url.pathname,
+        headers: req.headers,
+        query: Object.fromEntries(url.searchParams),
+        body: (await readBody(req)) || null,
+        clientIP: req.socket.remoteAddress
+      });
+      const response = await handler(request, context);
+
+      res.writeHead(response.status, Object.fromEntries(response.headers));
+      res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (error) {
+      console.error(error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Internal server error' }));
+    }
+  });
+}
+
+module.exports = {
+  functionNames,
+  toRequest,
+  invoke,
+  createDevServer
+};
@@ -0,0 +1,27 @@
+// Renders every email template with its sample data into ./email-previews for local review.
+// Usage: npm run preview:emails [-- <template-name>]
+
+const fs = require('fs');
+const path = require('path');
+const { templates, renderEmail } = require('../netlify/lib/email-templates');
+
+const outputDir = path.join(__dirname, '..', 'email-previews');
+const only = process.argv[2];
+
+if (only && !templates[only]) {
+  console.error(`Unknown template "${only}". Available: ${Object.keys(templates).join(', ')}`);
+  process.exit(1);
+}
+
+fs.mkdirSync(outputDir, { recursive: true });
+
+for (const name of Object.keys(templates)) {
+  if (only && name !== only) {
+    continue;
+  }
+
+  const { subject, text, html } = renderEmail(name, templates[name].sample);
+  fs.writeFileSync(path.join(outputDir, `${name}.html`), html);
+  fs.writeFileSync(path.join(outputDir, `${name}.txt`), `Subject: ${subject}\n\n${text}\n`);
+  console.log(`${name}: ${path.join('email-previews', `${name}.html`)}`);
+}
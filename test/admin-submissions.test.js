@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { invoke } = require('../scripts/local/runner');
+const { useFakes, formPost } = require('./helpers');
+
+const admin = { authorization: 'Bearer test-admin-secret' };
+
+describe('admin-submissions', () => {
+  useFakes();
+
+  it('includes the whole day of a date-only `to`', async () => {
+    await invoke('contact-form', formPost({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', message: 'Hello' }));
+    const today = new Date().toISOString().slice(0, 10);
+
+    const sameDay = await invoke('admin-submissions', { headers: admin, query: { from: today, to: today } });
+    const beforeNow = await invoke('admin-submissions', { headers: admin, query: { to: new Date(Date.now() - 60 * 1000).toISOString() } });
+
+    assert.strictEqual(sameDay.json.total, 1);
+    assert.strictEqual(beforeNow.json.total, 0);
+  });
+
+  it('accepts a token from `npm run admin-token` until it expires', async () => {
+    const script = path.join(__dirname, '..', 'scripts', 'admin-token.js');
+    const token = execFileSync(process.execPath, [script, '2'], { env: { ...process.env, TOKEN_SECRET: 'test-token-secret' } }).toString().trim();
+    const { signToken } = require('../netlify/lib/tokens');
+
+    const minted = await invoke('admin-submissions', { headers: { authorization: `Bearer ${token}` } });
+    const expired = await invoke('admin-submissions', { headers: { authorization: `Bearer ${signToken('admin', {}, -1)}` } });
+    const otherPurpose = await invoke('admin-submissions', { headers: { authorization: `Bearer ${signToken('unsubscribe', {}, 3600)}` } });
+
+    assert.strictEqual(minted.statusCode, 200);
+    assert.strictEqual(expired.statusCode, 401);
+    assert.strictEqual(otherPurpose.statusCode, 401);
+  });
+});
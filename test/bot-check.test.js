@@ -0,0 +1,55 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { invoke } = require('../scripts/local/runner');
+const { useFakes, formPost } = require('./helpers');
+
+const admin = { authorization: 'Bearer test-admin-secret' };
+const message = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', message: 'Hello' };
+
+describe('bot check quarantine', () => {
+  useFakes();
+
+  before(() => {
+    process.env.BOT_CHECK_MODE = 'quarantine';
+  });
+  after(() => {
+    delete process.env.BOT_CHECK_MODE;
+  });
+
+  it('keeps only validated form fields', async () => {
+    const response = await invoke('contact-form', formPost({
+      ...message,
+      lastName: 'x'.repeat(10000),
+      website: 'http://spam.example',
+      extra: { nested: 'not stored' }
+    }));
+    assert.strictEqual(response.statusCode, 403);
+
+    const list = await invoke('admin-quarantine', { headers: admin });
+    const [entry] = list.json.entries;
+
+    assert.strictEqual(list.json.total, 1);
+    assert.strictEqual(entry.reason, 'honeypot');
+    assert.deepStrictEqual(entry.data, { firstName: 'Ada', email: 'ada@example.com', message: 'Hello' });
+    assert.deepStrictEqual(entry.invalidFields, ['lastName']);
+  });
+
+  it('lets admins delete entries and drops expired ones', async () => {
+    await invoke('contact-form', formPost({ ...message, website: 'http://spam.example' }));
+    const { openStore } = require('../netlify/lib/store');
+    const expiredKey = `contact-form/${new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString()}-abcdef`;
+    await openStore('quarantine').set(expiredKey, { key: expiredKey, receivedAt: expiredKey.slice(13, 37), data: {} });
+
+    const list = await invoke('admin-quarantine', { headers: admin, query: { endpoint: 'contact-form' } });
+    assert.strictEqual(list.json.total, 1);
+
+    const removed = await invoke('admin-quarantine', { method: 'DELETE', headers: admin, query: { key: list.json.entries[0].key } });
+    assert.strictEqual(removed.statusCode, 200);
+    assert.deepStrictEqual(await openStore('quarantine').list(), []);
+  });
+
+  it('requires admin credentials', async () => {
+    const response = await invoke('admin-quarantine');
+    assert.strictEqual(response.statusCode, 401);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { invoke } = require('../scripts/local/runner');
+const { useFakes, withEnv, formPost } = require('./helpers');
+
+const ROUTES = {
+  sponsorship: { to: ['sponsors@example.com'], cc: 'team@example.com', bcc: ['archive@example.com'], subjectPrefix: '[Sponsorship]' },
+  support: { cc: ['support-lead@example.com'] },
+  default: { to: 'hello@example.com' }
+};
+
+function contactMessage(reason) {
+  return { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', reason, message: 'Hello' };
+}
+
+describe('contact routing', () => {
+  const fakes = useFakes();
+
+  it('sends each reason to its own recipients with CC, BCC and a subject prefix', async () => {
+    await withEnv({ CONTACT_ROUTES: JSON.stringify(ROUTES) }, () => invoke('contact-form', formPost(contactMessage('sponsorship'))));
+
+    const [notification] = fakes.resend.emails;
+    assert.deepStrictEqual(notification.to, ['sponsors@example.com']);
+    assert.deepStrictEqual(notification.cc, ['team@example.com']);
+    assert.deepStrictEqual(notification.bcc, ['archive@example.com']);
+    assert.strictEqual(notification.subject, '[Sponsorship] New Contact Form Submission - iBuildWith.ai');
+  });
+
+  it('uses the default route for reasons without one', async () => {
+    await withEnv({ CONTACT_ROUTES: JSON.stringify(ROUTES) }, () => invoke('contact-form', formPost(contactMessage('press'))));
+
+    const { listSubmissions } = require('../netlify/lib/submissions');
+    const [submission] = await listSubmissions('contact-form');
+
+    assert.deepStrictEqual(fakes.resend.emails[0].to, ['hello@example.com']);
+    assert.strictEqual(fakes.resend.emails[0].cc, undefined);
+    assert.strictEqual(submission.meta.route, 'default');
+  });
+
+  it('falls back to RECIPIENT_EMAIL for a route without recipients or no routes at all', async () => {
+    await withEnv({ CONTACT_ROUTES: JSON.stringify(ROUTES) }, () => invoke('contact-form', formPost(contactMessage('support'))));
+    await invoke('contact-form', formPost(contactMessage('sponsorship')));
+
+    assert.deepStrictEqual(fakes.resend.emails.map((email) => email.to), [
+      ['contact-admin@example.com'],
+      ['contact-admin@example.com']
+    ]);
+    assert.deepStrictEqual(fakes.resend.emails[0].cc, ['support-lead@example.com']);
+  });
+
+  it('stores the message and sends it to RECIPIENT_EMAIL when CONTACT_ROUTES is malformed', async () => {
+    for (const routes of ['{"sponsorship": {"to": ', '["hello@example.com"]']) {
+      fakes.resend.reset();
+      const response = await withEnv({ CONTACT_ROUTES: routes }, () => invoke('contact-form', formPost(contactMessage('sponsorship'))));
+
+      assert.strictEqual(response.statusCode, 200);
+      assert.deepStrictEqual(fakes.resend.emails[0].to, ['contact-admin@example.com']);
+    }
+
+    const { listSubmissions } = require('../netlify/lib/submissions');
+    const submissions = await listSubmissions('contact-form');
+    assert.deepStrictEqual(submissions.map((submission) => submission.meta.route), ['fallback', 'fallback']);
+  });
+
+  it('reports invalid routes in the health check', async () => {
+    const routes = { sponsorship: { to: 'not-an-address', prefix: '[S]' }, lottery: { to: 'a@example.com' } };
+    const env = { CONTACT_ROUTES: JSON.stringify(routes), CONTACT_REASONS: 'general,speaking,sponsorship' };
+    const response = await withEnv(env, () => invoke('health', { headers: { authorization: 'Bearer test-admin-secret' } }));
+
+    assert.strictEqual(response.statusCode, 503);
+    assert.deepStrictEqual(response.json.checks.config.errors, [
+      'Contact route sponsorship has unknown fields: prefix',
+      'Contact route sponsorship has invalid addresses: not-an-address',
+      'Contact route lottery is not a contact reason (general, speaking, sponsorship)'
+    ]);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { invoke } = require('../scripts/local/runner');
+const { useFakes, withEnv, formPost } = require('./helpers');
+
+const message = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', message: 'Hello' };
+
+describe('CORS', () => {
+  useFakes();
+
+  it('echoes an allowed origin and exposes the rate limit headers', async () => {
+    const response = await invoke('contact-form', formPost(message));
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.headers['access-control-allow-origin'], 'https://ibuildwith.ai');
+    assert.strictEqual(response.headers.vary, 'Origin');
+    assert.match(response.headers['access-control-expose-headers'], /RateLimit-Remaining/);
+  });
+
+  it('rejects other origins before doing any work', async () => {
+    const response = await invoke('contact-form', formPost(message, { headers: { origin: 'https://evil.example' } }));
+
+    assert.strictEqual(response.statusCode, 403);
+    assert.deepStrictEqual(response.json, { error: 'Origin not allowed' });
+    assert.strictEqual(response.headers['access-control-allow-origin'], undefined);
+  });
+
+  it('answers the preflight for allowed origins', async () => {
+    const response = await invoke('newsletter-signup', { method: 'OPTIONS', headers: { origin: 'https://www.ibuildwith.ai' } });
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.headers['access-control-allow-methods'], 'POST, OPTIONS');
+  });
+
+  it('serves server-to-server callers without CORS headers', async () => {
+    const response = await invoke('contact-form', { method: 'POST', body: message });
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.headers['access-control-allow-origin'], undefined);
+  });
+
+  it('matches wildcard origins from CORS_ALLOWED_ORIGINS', async () => {
+    await withEnv({ CORS_ALLOWED_ORIGINS: 'https://deploy-preview-*--ibuildwithai.netlify.app' }, async () => {
+      const preview = await invoke('contact-form', formPost(message, {
+        headers: { origin: 'https://deploy-preview-42--ibuildwithai.netlify.app' }
+      }));
+      const nested = await invoke('contact-form', formPost(message, {
+        headers: { origin: 'https://evil.deploy-preview-42--ibuildwithai.netlify.app' }
+      }));
+      const production = await invoke('contact-form', formPost(message));
+
+      assert.strictEqual(preview.statusCode, 200);
+      assert.strictEqual(nested.statusCode, 403);
+      assert.strictEqual(production.statusCode, 403);
+    });
+  });
+});
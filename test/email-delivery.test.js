@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { invoke } = require('../scripts/local/runner');
+const { hashApiKey } = require('../netlify/lib/api-keys');
+const { useFakes, withEnv, formPost } = require('./helpers');
+
+const message = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', reason: 'speaking', message: 'Hello' };
+
+describe('email delivery', () => {
+  const fakes = useFakes();
+
+  it('sends the contact notification and auto-reply through Resend', async () => {
+    const keys = JSON.stringify([{ name: 'vapi', hash: hashApiKey('vapi-key'), endpoints: ['contact-form'] }]);
+    const request = formPost(message, { headers: { 'x-api-key': 'vapi-key' } });
+    const response = await withEnv({ CONTACT_AUTO_REPLY: 'true', API_KEYS: keys }, () => invoke('contact-form', request));
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.json.message, 'Your message has been sent successfully!');
+    assert.deepStrictEqual(fakes.resend.emails.map((email) => email.to), [
+      ['contact-admin@example.com'],
+      ['ada@example.com']
+    ]);
+    assert.strictEqual(fakes.resend.emails[0].reply_to, 'ada@example.com');
+  });
+
+  it('does not auto-reply to anonymous visitors without CAPTCHA', async () => {
+    await withEnv({ CONTACT_AUTO_REPLY: 'true' }, () => invoke('contact-form', formPost(message)));
+
+    assert.deepStrictEqual(fakes.resend.emails.map((email) => email.to), [['contact-admin@example.com']]);
+  });
+
+  it('keeps the submission and queues a retry when Resend fails', async () => {
+    fakes.resend.fail({ status: 500 });
+    const response = await invoke('contact-form', formPost(message));
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.json.message, 'Your message has been received and will be delivered shortly.');
+
+    const { listRunnableJobs } = require('../netlify/lib/jobs');
+    const jobs = await listRunnableJobs(Date.now() + 2 * 60 * 1000);
+    assert.deepStrictEqual(jobs.map((job) => job.type), ['send-email']);
+    assert.match(jobs[0].lastError, /resend: Simulated 500/);
+  });
+
+  it('fails over to EMAIL_FALLBACK_PROVIDER on a Resend 422', async () => {
+    fakes.resend.fail({ status: 422, body: { statusCode: 422, name: 'validation_error', message: 'Invalid from' } });
+
+    await withEnv({ EMAIL_FALLBACK_PROVIDER: 'console' }, async () => {
+      const { sendEmail } = require('../netlify/lib/mailer');
+      const originalLog = console.log;
+      console.log = () => {};
+
+      try {
+        const result = await sendEmail({ to: ['ada@example.com'], subject: 'Hi', text: 'Hello' });
+        assert.strictEqual(result.provider, 'console');
+      } finally {
+        console.log = originalLog;
+      }
+    });
+  });
+
+  it('gives up on a Resend request that times out', async () => {
+    fakes.resend.fail({ timeout: true });
+    const { sendEmail } = require('../netlify/lib/mailer');
+
+    await assert.rejects(sendEmail({ to: ['ada@example.com'], subject: 'Hi', text: 'Hello' }), /resend:/);
+  });
+
+  it('attaches a calendar invite to the reminder confirmation', async () => {
+    const response = await invoke('reminder-form', formPost({
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: 'ada@example.com',
+      pageUrl: 'https://ibuildwith.ai/podcast/episode-12',
+      remindAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    }));
+    assert.strictEqual(response.statusCode, 200);
+
+    const confirmation = fakes.resend.emails.find((email) => email.to[0] === 'ada@example.com');
+    const ics = Buffer.from(confirmation.attachments[0].content, 'base64').toString('utf8');
+
+    assert.strictEqual(confirmation.attachments[0].filename, 'podcast-reminder.ics');
+    assert.match(ics, /BEGIN:VALARM/);
+    assert.match(ics, /SUMMARY:iBuildWith.ai podcast/);
+    assert.match(confirmation.text, /calendar\.google\.com/);
+  });
+});
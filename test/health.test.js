@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { invoke } = require('../scripts/local/runner');
+const { useFakes, withEnv } = require('./helpers');
+
+const admin = { headers: { authorization: 'Bearer test-admin-secret' } };
+
+describe('health', () => {
+  const fakes = useFakes();
+
+  // First, before the probes are cached
+  it('does not fail the storage check when the read returns another write', async () => {
+    const { setStoreFactory, createMemoryStore } = require('../netlify/lib/store');
+    const store = createMemoryStore();
+    setStoreFactory(() => ({ ...store, get: async () => ({ checkedAt: '2020-01-01T00:00:00.000Z' }) }));
+
+    const response = await invoke('health', admin);
+
+    assert.strictEqual(response.json.checks.storage.status, 'ok');
+  });
+
+  it('shows only the status and version without admin credentials', async () => {
+    const response = await invoke('health');
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(Object.keys(response.json), ['status', 'version']);
+    assert.strictEqual(response.json.status, 'ok');
+  });
+
+  it('includes the individual checks for admins', async () => {
+    const response = await invoke('health', admin);
+
+    assert.strictEqual(response.json.checks.config.status, 'ok');
+    assert.strictEqual(response.json.checks.mailingList.provider, 'Sender.net');
+  });
+
+  it('reports auto-replies without CAPTCHA as a warning, not a failure', async () => {
+    const response = await withEnv({ CONTACT_AUTO_REPLY: 'true' }, () => invoke('health', admin));
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.json.checks.config.errors, []);
+    assert.deepStrictEqual(response.json.checks.config.warnings, [
+      'CONTACT_AUTO_REPLY is on without CAPTCHA_PROVIDER, so only trusted callers get auto-replies'
+    ]);
+  });
+
+  it('reports JSON webhooks without a secret', async () => {
+    const webhooks = [
+      { name: 'crm', url: 'https://crm.example.com/hooks' },
+      { name: 'slack', url: 'https://hooks.slack.com/services/x', format: 'slack' }
+    ];
+    const response = await withEnv({ WEBHOOKS: JSON.stringify(webhooks) }, () => invoke('health', admin));
+
+    assert.strictEqual(response.statusCode, 503);
+    assert.deepStrictEqual(response.json.checks.config.errors, ['Webhook crm needs a secret to sign its events']);
+  });
+
+  it('probes the providers at most once a minute', async () => {
+    await invoke('health');
+    fakes.resend.reset();
+    fakes.sender.reset();
+
+    for (let i = 0; i < 3; i++) {
+      await invoke('health');
+    }
+
+    assert.strictEqual(fakes.resend.calls.length, 0);
+    assert.strictEqual(fakes.sender.calls.length, 0);
+  });
+});
@@ -0,0 +1,106 @@
+const { before, after, beforeEach } = require('node:test');
+const { setStoreFactory, createMemoryStore } = require('../netlify/lib/store');
+const { createFakeResend } = require('../scripts/local/fake-resend');
+const { createFakeSender } = require('../scripts/local/fake-sender');
+
+// Shared setup for the integration tests (run with `npm test`).
+//
+// useFakes() registers hooks that start the Resend and Sender.net stand-ins for the file,
+// point the functions at them and give every test an empty in-memory store.
+// Provider SDKs read their base URL when first required, so test files must load
+// netlify/ modules lazily (invoke() from scripts/local/runner.js does) or inside hooks.
+
+const TEST_ENV = {
+  LOG_LEVEL: 'silent',
+  URL: 'https://backend.test',
+  TOKEN_SECRET: 'test-token-secret',
+  ADMIN_API_SECRET: 'test-admin-secret',
+  RECIPIENT_EMAIL: 'contact-admin@example.com',
+  REMINDER_ADMIN_EMAIL: 'reminder-admin@example.com',
+  EMAIL_PROVIDER: 'resend',
+  RESEND_API_KEY: 're_test',
+  SENDER_API_TOKEN: 'sender-test-token',
+  SENDER_NEWSLETTER_GROUP_ID: 'group-newsletter',
+  SENDER_REMINDERS_GROUP_ID: 'group-reminders'
+};
+
+const ORIGIN = 'https://ibuildwith.ai';
+
+let ipCounter = 0;
+
+// A fresh client IP, so rate limits from other tests don't apply
+function nextIP() {
+  ipCounter++;
+  return `198.51.100.${ipCounter}`;
+}
+
+function resetStores() {
+  const stores = new Map();
+  setStoreFactory((name) => {
+    if (!stores.has(name)) {
+      stores.set(name, createMemoryStore());
+    }
+    return stores.get(name);
+  });
+}
+
+function useFakes() {
+  const fakes = { resend: createFakeResend(), sender: createFakeSender() };
+
+  before(async () => {
+    await Promise.all([fakes.resend.start(), fakes.sender.start()]);
+    Object.assign(process.env, TEST_ENV, {
+      RESEND_BASE_URL: fakes.resend.url,
+      SENDER_API_URL: fakes.sender.url
+    });
+  });
+
+  beforeEach(() => {
+    resetStores();
+    fakes.resend.reset();
+    fakes.sender.reset();
+  });
+
+  after(async () => {
+    await Promise.all([fakes.resend.stop(), fakes.sender.stop()]);
+  });
+
+  return fakes;
+}
+
+// Runs fn with some environment variables changed (null unsets one), restoring them afterwards
+async function withEnv(vars, fn) {
+  const previous = Object.fromEntries(Object.keys(vars).map((name) => [name, process.env[name]]));
+  for (const [name, value] of Object.entries(vars)) {
+    if (value === null) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+// A POST from the website with a fresh client IP
+function formPost(body, { headers = {}, clientIP = nextIP() } = {}) {
+  return { method: 'POST', headers: { origin: ORIGIN, ...headers }, body, clientIP };
+}
+
+module.exports = {
+  ORIGIN,
+  nextIP,
+  useFakes,
+  withEnv,
+  formPost
+};
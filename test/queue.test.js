@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { invoke } = require('../scripts/local/runner');
+const { createFakeServer } = require('../scripts/local/fake-server');
+const { useFakes, withEnv } = require('./helpers');
+
+async function storedKeys(name) {
+  const { openStore } = require('../netlify/lib/store');
+  return openStore(name).list();
+}
+
+// Finished job keys without their date: finished/<finishedAt>/<id> -> finished/<id>
+async function jobKeys() {
+  return (await storedKeys('jobs')).map((key) => key.replace(/^finished\/[^/]+\//, 'finished/')).sort();
+}
+
+describe('scheduled queues', () => {
+  const fakes = useFakes();
+
+  it('moves finished jobs out of the queue process-queue reads', async () => {
+    const { enqueueAndRun } = require('../netlify/lib/jobs');
+    fakes.resend.fail({ status: 500 });
+
+    const failed = await enqueueAndRun('send-email', { to: ['ada@example.com'], subject: 'Hi', text: 'Hello' });
+    const done = await enqueueAndRun('send-email', { to: ['grace@example.com'], subject: 'Hi', text: 'Hello' });
+
+    assert.deepStrictEqual(await jobKeys(), [`finished/${done.id}`, `pending/${failed.id}`]);
+
+    const { openStore } = require('../netlify/lib/store');
+    await openStore('jobs').set(`pending/${failed.id}`, { ...failed, nextAttemptAt: new Date(0).toISOString() });
+    const response = await invoke('process-queue');
+
+    assert.deepStrictEqual(response.json, { done: 1, pending: 0, dead: 0, expired: 0 });
+    assert.deepStrictEqual(await jobKeys(), [`finished/${done.id}`, `finished/${failed.id}`].sort());
+  });
+
+  it('drops the payload of done jobs and deletes finished jobs after 30 days', async () => {
+    const { enqueueAndRun, deleteExpiredJobs } = require('../netlify/lib/jobs');
+    const { openStore } = require('../netlify/lib/store');
+    const job = await enqueueAndRun('send-email', { to: ['ada@example.com'], subject: 'Hi', text: 'Hello' });
+
+    const [key] = await storedKeys('jobs');
+    assert.strictEqual((await openStore('jobs').get(key)).payload, null);
+    assert.strictEqual(job.status, 'done');
+
+    assert.strictEqual(await deleteExpiredJobs(Date.now() + 29 * 24 * 60 * 60 * 1000), 0);
+    assert.strictEqual(await deleteExpiredJobs(Date.now() + 31 * 24 * 60 * 60 * 1000), 1);
+    assert.deepStrictEqual(await storedKeys('jobs'), []);
+  });
+
+  it('dead-letters a job after its last attempt and alerts the admin', async () => {
+    const { MAX_ATTEMPTS, enqueueJob, runJob } = require('../netlify/lib/jobs');
+    const job = await enqueueJob('send-email', { to: ['ada@example.com'], subject: 'Hi', text: 'Hello' });
+    fakes.resend.fail({ status: 500 });
+
+    const dead = await runJob({ ...job, attempts: MAX_ATTEMPTS - 1 });
+
+    assert.strictEqual(dead.status, 'dead');
+    assert.deepStrictEqual(await jobKeys(), [`finished/${job.id}`]);
+    const [alert] = fakes.resend.emails;
+    assert.deepStrictEqual(alert.to, ['contact-admin@example.com']);
+    assert.strictEqual(alert.subject, '⚠️ Delivery failed permanently - send-email');
+    assert.match(alert.html, new RegExp(job.id));
+  });
+
+  it('never sends a JSON webhook unsigned', async () => {
+    const receiver = createFakeServer('Webhook receiver', () => ({ status: 200, body: {} }));
+    await receiver.start();
+
+    try {
+      const webhooks = JSON.stringify([{ name: 'crm', url: receiver.url }]);
+      const job = await withEnv({ WEBHOOKS: webhooks }, () => {
+        const { enqueueAndRun } = require('../netlify/lib/jobs');
+        return enqueueAndRun('send-webhook', { webhook: 'crm', event: { id: 'evt-1', type: 'contact.submitted', data: {} } });
+      });
+
+      assert.strictEqual(job.status, 'pending');
+      assert.match(job.lastError, /no secret/);
+      assert.strictEqual(receiver.calls.length, 0);
+    } finally {
+      await receiver.stop();
+    }
+  });
+
+  it('moves sent reminders out of the list send-reminders reads', async () => {
+    const { createReminder, listDueReminders } = require('../netlify/lib/reminders');
+    const reminder = await createReminder({
+      email: 'ada@example.com',
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      pageUrl: 'https://ibuildwith.ai/podcast/episode-12',
+      pageTitle: 'Episode 12',
+      remindAt: new Date(Date.now() - 60 * 1000).toISOString()
+    });
+
+    const response = await invoke('send-reminders');
+
+    assert.deepStrictEqual(response.json, { sent: 1, failed: 0, suppressed: 0 });
+    assert.deepStrictEqual(await storedKeys('reminders'), [`finished/${reminder.id}`]);
+    assert.deepStrictEqual(await listDueReminders(), []);
+  });
+});
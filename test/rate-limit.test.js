@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { invoke } = require('../scripts/local/runner');
+const { hashApiKey } = require('../netlify/lib/api-keys');
+const { useFakes, withEnv, formPost, nextIP } = require('./helpers');
+
+const message = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', message: 'Hello' };
+
+describe('rate limiting', () => {
+  useFakes();
+
+  it('allows 3 submissions per hour per IP, then answers 429 with Retry-After', async () => {
+    const clientIP = nextIP();
+    const statuses = [];
+    let response;
+
+    for (let i = 0; i < 4; i++) {
+      response = await invoke('contact-form', formPost(message, { clientIP }));
+      statuses.push(response.statusCode);
+    }
+
+    assert.deepStrictEqual(statuses, [200, 200, 200, 429]);
+    assert.strictEqual(response.headers['ratelimit-remaining'], '0');
+    assert.ok(Number(response.headers['retry-after']) > 0);
+  });
+
+  it('counts each endpoint and IP separately', async () => {
+    const clientIP = nextIP();
+    for (let i = 0; i < 3; i++) {
+      await invoke('contact-form', formPost(message, { clientIP }));
+    }
+
+    const otherEndpoint = await invoke('newsletter-signup', formPost(
+      { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' },
+      { clientIP }
+    ));
+    const otherIP = await invoke('contact-form', formPost(message));
+
+    assert.strictEqual(otherEndpoint.statusCode, 200);
+    assert.strictEqual(otherIP.statusCode, 200);
+  });
+
+  it('counts rejections for admin-stats', async () => {
+    const clientIP = nextIP();
+    for (let i = 0; i < 5; i++) {
+      await invoke('contact-form', formPost(message, { clientIP }));
+    }
+
+    const stats = await invoke('admin-stats', { headers: { authorization: 'Bearer test-admin-secret' } });
+
+    assert.strictEqual(stats.statusCode, 200);
+    assert.deepStrictEqual(stats.json.rateLimitRejections.byEndpoint, { 'contact-form': 2 });
+  });
+
+  it('applies an API key\'s own limit instead of the IP limit', async () => {
+    const keys = [
+      { name: 'unlimited', hash: hashApiKey('unlimited-key'), endpoints: ['*'] },
+      { name: 'limited', hash: hashApiKey('limited-key'), endpoints: ['*'], rateLimit: { limit: 1, windowMs: 60000 } }
+    ];
+
+    await withEnv({ API_KEYS: JSON.stringify(keys) }, async () => {
+      const clientIP = nextIP();
+      const unlimited = [];
+      for (let i = 0; i < 5; i++) {
+        const response = await invoke('contact-form', formPost(message, { clientIP, headers: { 'x-api-key': 'unlimited-key' } }));
+        unlimited.push(response.statusCode);
+      }
+
+      const first = await invoke('contact-form', formPost(message, { headers: { 'x-api-key': 'limited-key' } }));
+      const second = await invoke('contact-form', formPost(message, { headers: { 'x-api-key': 'limited-key' } }));
+
+      assert.deepStrictEqual(unlimited, [200, 200, 200, 200, 200]);
+      assert.strictEqual(first.statusCode, 200);
+      assert.strictEqual(second.statusCode, 429);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { invoke } = require('../scripts/local/runner');
+const { createFakeServer } = require('../scripts/local/fake-server');
+const { useFakes, withEnv, formPost } = require('./helpers');
+
+const airsAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+airsAt.setUTCMilliseconds(0);
+
+const episodes = [
+  { url: 'https://ibuildwith.ai/podcast/episode-12', title: 'Episode 12: Shipping with AI', date: airsAt.toISOString(), description: 'Live build' }
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function reminder(fields = {}) {
+  return {
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    pageUrl: 'https://ibuildwith.ai/podcast/episode-12',
+    ...fields
+  };
+}
+
+async function storedReminder() {
+  const { listSubmissions } = require('../netlify/lib/submissions');
+  const [submission] = await listSubmissions('reminder-form');
+  return submission.data;
+}
+
+describe('reminder-form without an episodes feed', () => {
+  const fakes = useFakes();
+
+  it('ignores the client title and start time', async () => {
+    const response = await invoke('reminder-form', formPost(reminder({
+      pageTitle: 'Claim your prize',
+      remindAt: new Date(Date.now() + DAY).toISOString(),
+      startsAt: new Date(Date.now() + 2 * DAY).toISOString()
+    })));
+    assert.strictEqual(response.statusCode, 200);
+
+    const data = await storedReminder();
+    assert.strictEqual(data.pageTitle, null);
+    assert.strictEqual(data.startsAt, null);
+    assert.ok(fakes.resend.emails.every((email) => !email.text.includes('Claim your prize')));
+  });
+
+  it('requires remindAt', async () => {
+    const response = await invoke('reminder-form', formPost(reminder()));
+
+    assert.strictEqual(response.statusCode, 422);
+    assert.deepStrictEqual(response.json.fields.map((field) => field.code), ['required']);
+  });
+
+  it('only accepts pages on REMINDER_PAGE_ORIGINS, not every CORS origin', async () => {
+    const env = { CORS_ALLOWED_ORIGINS: 'https://ibuildwith.ai,http://localhost:*' };
+    const response = await withEnv(env, () => invoke('reminder-form', formPost(reminder({
+      pageUrl: 'http://localhost:3000/podcast/episode-12',
+      remindAt: new Date(Date.now() + DAY).toISOString()
+    }))));
+
+    assert.strictEqual(response.statusCode, 422);
+    assert.deepStrictEqual(response.json.fields.map((field) => field.code), ['not_allowed']);
+  });
+});
+
+describe('reminder-form with an episodes feed', () => {
+  useFakes();
+  const feed = createFakeServer('Episodes feed', () => ({ status: 200, body: episodes }));
+
+  before(() => feed.start());
+  after(() => feed.stop());
+  afterEach(() => require('../netlify/lib/episodes').clearEpisodesCache());
+
+  function feedPost(fields) {
+    return withEnv({ EPISODES_FEED_URL: `${feed.url}/episodes.json` }, () => invoke('reminder-form', formPost(reminder(fields))));
+  }
+
+  it('takes the episode start from the feed, not the client', async () => {
+    const response = await feedPost({
+      pageTitle: 'Something else',
+      remindAt: new Date(Date.now() + DAY).toISOString(),
+      startsAt: new Date(Date.now() + 30 * DAY).toISOString()
+    });
+    assert.strictEqual(response.statusCode, 200);
+
+    const data = await storedReminder();
+    assert.strictEqual(data.startsAt, airsAt.toISOString());
+    assert.strictEqual(data.pageTitle, 'Episode 12: Shipping with AI');
+  });
+
+  it('reminds an hour before the episode airs by default', async () => {
+    const response = await feedPost({});
+    assert.strictEqual(response.statusCode, 200);
+
+    assert.strictEqual((await storedReminder()).remindAt, new Date(airsAt.getTime() - 60 * 60 * 1000).toISOString());
+  });
+
+  it('rejects a reminder after the episode airs', async () => {
+    const response = await feedPost({ remindAt: new Date(airsAt.getTime() + DAY).toISOString() });
+
+    assert.strictEqual(response.statusCode, 422);
+    assert.deepStrictEqual(response.json.fields.map((field) => field.code), ['after_start']);
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { invoke } = require('../scripts/local/runner');
+const { useFakes, withEnv, formPost } = require('./helpers');
+
+const signup = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' };
+
+// Signs up and opens the confirmation link, which runs the add-subscriber job
+async function signUpAndConfirm() {
+  const { confirmationUrl } = require('../netlify/lib/subscriptions');
+  const signupResponse = await invoke('newsletter-signup', formPost(signup));
+  assert.strictEqual(signupResponse.statusCode, 200);
+
+  const token = new URL(confirmationUrl(signup.email)).searchParams.get('token');
+  return invoke('confirm-subscription', { method: 'POST', query: { token } });
+}
+
+async function senderStatus() {
+  const { listSubmissions, senderStatusOf } = require('../netlify/lib/submissions');
+  const [submission] = await listSubmissions('newsletter-signup');
+  return senderStatusOf(submission);
+}
+
+describe('Sender.net', () => {
+  const fakes = useFakes();
+
+  it('does not add anyone before the double opt-in is confirmed', async () => {
+    await invoke('newsletter-signup', formPost(signup));
+
+    assert.strictEqual(fakes.sender.calls.length, 0);
+    assert.strictEqual(await senderStatus(), 'unconfirmed');
+  });
+
+  it('opening the confirmation link only shows a confirm button', async () => {
+    const { confirmationUrl, getSubscription } = require('../netlify/lib/subscriptions');
+    await invoke('newsletter-signup', formPost(signup));
+    const token = new URL(confirmationUrl(signup.email)).searchParams.get('token');
+
+    const response = await invoke('confirm-subscription', { query: { token } });
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.match(response.body, /<form method="post"/);
+    assert.strictEqual((await getSubscription(signup.email)).status, 'pending');
+    assert.strictEqual(fakes.sender.calls.length, 0);
+  });
+
+  it('success: adds the confirmed subscriber to the newsletter group', async () => {
+    const response = await signUpAndConfirm();
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(fakes.sender.subscribers.get(signup.email).groups, ['group-newsletter']);
+    assert.strictEqual(fakes.sender.calls[0].headers.authorization, 'Bearer sender-test-token');
+    assert.strictEqual(await senderStatus(), 'success');
+  });
+
+  it('already_exists: a 422 tags the existing contact instead of failing', async () => {
+    fakes.sender.subscribers.set(signup.email, { email: signup.email, groups: ['group-other'], status: 'ACTIVE' });
+
+    await signUpAndConfirm();
+
+    assert.deepStrictEqual(fakes.sender.calls.map((call) => `${call.method} ${call.path}`), [
+      'POST /subscribers',
+      'POST /subscribers/groups/group-newsletter'
+    ]);
+    assert.deepStrictEqual(fakes.sender.subscribers.get(signup.email).groups, ['group-other', 'group-newsletter']);
+    assert.strictEqual(await senderStatus(), 'already_exists');
+  });
+
+  it('failed: a 5xx queues the job for retry and the next attempt succeeds', async () => {
+    fakes.sender.fail({ status: 503, method: 'POST', path: '/subscribers' });
+    await signUpAndConfirm();
+
+    const { listRunnableJobs, runJob } = require('../netlify/lib/jobs');
+    const [job] = await listRunnableJobs(Date.now() + 2 * 60 * 1000);
+
+    assert.strictEqual(await senderStatus(), 'queued');
+    assert.strictEqual(job.type, 'add-subscriber');
+    assert.match(job.lastError, /Status: 503/);
+
+    const retried = await runJob(job);
+    assert.strictEqual(retried.status, 'done');
+    assert.strictEqual(await senderStatus(), 'success');
+  });
+
+  it('failed: a timeout is reported as a failure, not a hang', async () => {
+    fakes.sender.fail({ timeout: true });
+    const { mailingList } = require('../netlify/lib/mailing-list');
+
+    const result = await mailingList().addSubscriber({ ...signup, tags: ['newsletter'] });
+
+    assert.strictEqual(result.status, 'failed');
+    assert.match(result.errorDetails, /timeout|aborted/i);
+  });
+
+  it('signing up again tags a confirmed subscriber without changing their name', async () => {
+    await signUpAndConfirm();
+    fakes.sender.calls.length = 0;
+
+    await invoke('reminder-form', formPost({
+      firstName: 'Mallory',
+      lastName: 'Spoofed',
+      email: signup.email,
+      pageUrl: 'https://ibuildwith.ai/podcast/episode-12',
+      remindAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    }));
+
+    assert.deepStrictEqual(fakes.sender.calls.map((call) => `${call.method} ${call.path}`), [
+      'POST /subscribers/groups/group-reminders'
+    ]);
+    const subscriber = fakes.sender.subscribers.get(signup.email);
+    assert.strictEqual(subscriber.firstname, 'Ada');
+    assert.deepStrictEqual(subscriber.groups, ['group-newsletter', 'group-reminders']);
+  });
+
+  it('not_found: a contact missing from Sender.net is not added back and has to confirm again', async () => {
+    await signUpAndConfirm();
+    fakes.sender.reset();
+    fakes.sender.fail({ status: 404, method: 'POST', path: '/subscribers/groups/group-newsletter' });
+
+    const { getSubscription } = require('../netlify/lib/subscriptions');
+    await invoke('newsletter-signup', formPost(signup));
+
+    assert.deepStrictEqual(fakes.sender.calls.map((call) => `${call.method} ${call.path}`), [
+      'POST /subscribers/groups/group-newsletter'
+    ]);
+    assert.strictEqual((await getSubscription(signup.email)).status, 'unsubscribed');
+
+    fakes.resend.reset();
+    await invoke('newsletter-signup', formPost(signup));
+    assert.strictEqual((await getSubscription(signup.email)).status, 'pending');
+    assert.match(fakes.resend.emails[0].subject, /confirm/i);
+  });
+
+  it('skipped: without SENDER_API_TOKEN nothing is sent to Sender.net', async () => {
+    await withEnv({ SENDER_API_TOKEN: null }, async () => {
+      await signUpAndConfirm();
+    });
+
+    assert.strictEqual(fakes.sender.calls.length, 0);
+    assert.strictEqual(await senderStatus(), 'skipped');
+  });
+});
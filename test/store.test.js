@@ -0,0 +1,48 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { invoke } = require('../scripts/local/runner');
+const { setStoreFactory } = require('../netlify/lib/store');
+const { createFakeBlobs } = require('../scripts/local/fake-blobs');
+const { useFakes, withEnv, formPost, nextIP } = require('./helpers');
+
+const message = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', message: 'Hello' };
+
+describe('Netlify Blobs storage', () => {
+  const fakes = useFakes();
+  const blobs = createFakeBlobs();
+
+  before(() => blobs.start());
+  after(() => blobs.stop());
+
+  afterEach(() => blobs.reset());
+
+  // A production-shaped request: default backend, Blobs credentials in the environment
+  function blobsPost(body, { clientIP = nextIP() } = {}) {
+    setStoreFactory(null);
+    const env = { STORAGE_BACKEND: null, NETLIFY_BLOBS_CONTEXT: blobs.environmentContext() };
+    return withEnv(env, () => invoke('contact-form', formPost(body, { clientIP })));
+  }
+
+  it('stores the submission in Blobs with strongly consistent reads', async () => {
+    const response = await blobsPost(message);
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(fakes.resend.emails.length, 1);
+    assert.strictEqual(blobs.calls[0].headers.authorization, 'Bearer blobs-test-token');
+    assert.ok(blobs.calls.every((call) => call.path.startsWith('/site-test/')));
+
+    const [submission] = [...blobs.blobs.get('submissions').values()];
+    assert.strictEqual(submission.data.email, 'ada@example.com');
+    assert.strictEqual(blobs.blobs.get('rate-limit').size, 1);
+  });
+
+  it('keeps rate limits in Blobs across invocations', async () => {
+    const clientIP = nextIP();
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      statuses.push((await blobsPost(message, { clientIP })).statusCode);
+    }
+
+    assert.deepStrictEqual(statuses, [200, 200, 200, 429]);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { invoke } = require('../scripts/local/runner');
+const { useFakes, withEnv, formPost } = require('./helpers');
+
+const SECRET = `whsec_${Buffer.from('resend-webhook-test-secret').toString('base64')}`;
+const ROUTES = { sponsorship: { to: 'sponsors@example.com' } };
+
+// A Resend webhook signed like Svix does (see resend-webhook.js)
+function resendWebhook(type, data) {
+  const body = JSON.stringify({ type, data });
+  const id = `msg_${crypto.randomUUID()}`;
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const key = Buffer.from(SECRET.replace(/^whsec_/, ''), 'base64');
+  const signature = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${body}`).digest('base64');
+
+  return invoke('resend-webhook', {
+    method: 'POST',
+    headers: { 'svix-id': id, 'svix-timestamp': timestamp, 'svix-signature': `v1,${signature}` },
+    body
+  });
+}
+
+async function suppressedEmails() {
+  const { listSuppressions } = require('../netlify/lib/suppressions');
+  return (await listSuppressions()).map((suppression) => suppression.email).sort();
+}
+
+describe('suppression list', () => {
+  const fakes = useFakes();
+
+  before(() => {
+    process.env.RESEND_WEBHOOK_SECRET = SECRET;
+  });
+
+  it('suppresses bounced visitors but not our own inboxes', async () => {
+    await withEnv({ CONTACT_ROUTES: JSON.stringify(ROUTES) }, async () => {
+      const bounce = { type: 'Permanent', subType: 'General' };
+      await resendWebhook('email.bounced', { email_id: 'e1', to: ['contact-admin@example.com', 'sponsors@example.com'], bounce });
+      await resendWebhook('email.bounced', { email_id: 'e2', to: ['ada@example.com'], bounce });
+      await resendWebhook('email.complained', { email_id: 'e3', to: ['reminder-admin@example.com'] });
+    });
+
+    assert.deepStrictEqual(await suppressedEmails(), ['ada@example.com']);
+  });
+
+  it('still delivers contact notifications to a suppressed internal address', async () => {
+    const { openStore } = require('../netlify/lib/store');
+    await openStore('suppressions').set('contact-admin@example.com', { email: 'contact-admin@example.com', reason: 'bounced' });
+
+    const response = await invoke('contact-form', formPost({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', message: 'Hello' }));
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(fakes.resend.emails.map((email) => email.to), [['contact-admin@example.com']]);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { invoke } = require('../scripts/local/runner');
+const { hashApiKey } = require('../netlify/lib/api-keys');
+const { useFakes, formPost } = require('./helpers');
+
+const message = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', message: 'Hello' };
+
+describe('trusted callers', () => {
+  useFakes();
+
+  beforeEach(() => {
+    process.env.API_KEYS = JSON.stringify([
+      { name: 'vapi', hash: hashApiKey('vapi-key'), endpoints: ['contact-form', 'reminder-form'] }
+    ]);
+  });
+
+  afterEach(() => {
+    delete process.env.API_KEYS;
+    delete process.env.CAPTCHA_PROVIDER;
+  });
+
+  it('rejects the honeypot for anonymous visitors', async () => {
+    const response = await invoke('contact-form', formPost({ ...message, website: 'http://spam.example' }));
+
+    assert.strictEqual(response.statusCode, 403);
+    assert.strictEqual(response.json.reason, 'honeypot');
+  });
+
+  it('requires a CAPTCHA token when CAPTCHA is enabled', async () => {
+    process.env.CAPTCHA_PROVIDER = 'turnstile';
+    const response = await invoke('contact-form', formPost(message));
+
+    assert.strictEqual(response.statusCode, 400);
+    assert.strictEqual(response.json.reason, 'captcha_missing');
+  });
+
+  it('lets a valid API key skip the bot checks and records its name', async () => {
+    process.env.CAPTCHA_PROVIDER = 'turnstile';
+    const response = await invoke('contact-form', formPost(
+      { ...message, website: 'filled by the voice agent' },
+      { headers: { 'x-api-key': 'vapi-key' } }
+    ));
+    assert.strictEqual(response.statusCode, 200);
+
+    const { listSubmissions } = require('../netlify/lib/submissions');
+    const [submission] = await listSubmissions('contact-form');
+
+    assert.strictEqual(submission.meta.trusted, true);
+    assert.strictEqual(submission.meta.apiKey, 'vapi');
+  });
+
+  it('rejects unknown keys instead of treating the caller as anonymous', async () => {
+    const response = await invoke('contact-form', formPost(message, { headers: { 'x-api-key': 'guessed-key' } }));
+
+    assert.strictEqual(response.statusCode, 401);
+    assert.deepStrictEqual(response.json, { error: 'Invalid API key' });
+  });
+
+  it('rejects keys that are not scoped to the endpoint', async () => {
+    const response = await invoke('newsletter-signup', formPost(
+      { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' },
+      { headers: { 'x-api-key': 'vapi-key' } }
+    ));
+
+    assert.strictEqual(response.statusCode, 403);
+  });
+
+  it('still accepts the legacy VAPI_API_KEY', async () => {
+    delete process.env.API_KEYS;
+    process.env.VAPI_API_KEY = 'legacy-key';
+
+    try {
+      const response = await invoke('contact-form', formPost(
+        { ...message, website: 'filled' },
+        { headers: { 'x-api-key': 'legacy-key' } }
+      ));
+      assert.strictEqual(response.statusCode, 200);
+    } finally {
+      delete process.env.VAPI_API_KEY;
+    }
+  });
+});
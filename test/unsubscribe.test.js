@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { invoke } = require('../scripts/local/runner');
+const { useFakes, formPost } = require('./helpers');
+
+const person = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' };
+
+async function storedKeys(name) {
+  const { openStore } = require('../netlify/lib/store');
+  return openStore(name).list();
+}
+
+function unsubscribePost(email, action) {
+  const { unsubscribeUrl } = require('../netlify/lib/subscriptions');
+  const token = new URL(unsubscribeUrl(email)).searchParams.get('token');
+  return invoke('unsubscribe', { method: 'POST', query: { token }, body: `action=${action}` });
+}
+
+describe('unsubscribe', () => {
+  const fakes = useFakes();
+
+  it('erase deletes submissions and delivery jobs for the address', async () => {
+    await invoke('contact-form', formPost({ ...person, message: 'Hello' }));
+    await invoke('newsletter-signup', formPost(person));
+    await invoke('contact-form', formPost({ ...person, email: 'grace@example.com', message: 'Ask ada@example.com too' }));
+    await invoke('contact-form', formPost({ ...person, email: 'other@example.com', message: 'Hi' }));
+
+    const response = await unsubscribePost(person.email, 'erase');
+    assert.strictEqual(response.statusCode, 200);
+
+    const { listSubmissions } = require('../netlify/lib/submissions');
+    const remaining = await listSubmissions();
+    assert.deepStrictEqual(remaining.map((submission) => submission.data.email).sort(), ['grace@example.com', 'other@example.com']);
+
+    // Jobs of other people's messages stay, even when they quote the address
+    const { openStore } = require('../netlify/lib/store');
+    const jobs = await Promise.all((await storedKeys('jobs')).map((key) => openStore('jobs').get(key)));
+    const remainingKeys = remaining.map((submission) => submission.key);
+    assert.strictEqual(jobs.length, 2);
+    assert.ok(jobs.every((job) => remainingKeys.includes(job.submissionKey)));
+    assert.deepStrictEqual(await storedKeys('subscriptions'), []);
+    assert.strictEqual(fakes.resend.emails.at(-1).subject, 'Your iBuildWith.ai data has been deleted');
+  });
+
+  it('erase deletes quarantined submissions for the address', async () => {
+    process.env.BOT_CHECK_MODE = 'quarantine';
+    try {
+      await invoke('contact-form', formPost({ ...person, message: 'Hello', website: 'http://spam.example' }));
+      assert.strictEqual((await storedKeys('quarantine')).length, 1);
+
+      await unsubscribePost(person.email, 'erase');
+      assert.deepStrictEqual(await storedKeys('quarantine'), []);
+    } finally {
+      delete process.env.BOT_CHECK_MODE;
+    }
+  });
+
+  it('an earlier confirmation link does not subscribe the address again', async () => {
+    const { confirmationUrl, getSubscription, recordOptOut } = require('../netlify/lib/subscriptions');
+    await invoke('newsletter-signup', formPost(person));
+    const token = new URL(confirmationUrl(person.email)).searchParams.get('token');
+
+    await unsubscribePost(person.email, 'unsubscribe');
+    const afterUnsubscribe = await invoke('confirm-subscription', { method: 'POST', query: { token } });
+
+    await recordOptOut(person.email, 'bounced', 'resend-webhook');
+    const afterBounce = await invoke('confirm-subscription', { method: 'POST', query: { token } });
+
+    assert.strictEqual(afterUnsubscribe.statusCode, 409);
+    assert.match(afterUnsubscribe.body, /sign up again/);
+    assert.strictEqual(afterBounce.statusCode, 409);
+    assert.strictEqual((await getSubscription(person.email)).status, 'bounced');
+    assert.strictEqual(fakes.sender.calls.filter((call) => call.method === 'POST').length, 0);
+  });
+
+  it('unsubscribe keeps the submissions', async () => {
+    await invoke('newsletter-signup', formPost(person));
+    await unsubscribePost(person.email, 'unsubscribe');
+
+    const { getSubscription } = require('../netlify/lib/subscriptions');
+    assert.strictEqual((await getSubscription(person.email)).status, 'unsubscribed');
+    assert.strictEqual((await storedKeys('submissions')).length, 1);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { invoke } = require('../scripts/local/runner');
+const { useFakes, withEnv, formPost } = require('./helpers');
+
+function fieldCodes(response) {
+  return Object.fromEntries(response.json.fields.map((error) => [error.field, error.code]));
+}
+
+describe('validation', () => {
+  const fakes = useFakes();
+
+  it('reports every invalid field with a code and sends nothing', async () => {
+    const response = await withEnv({ CONTACT_REASONS: 'general, speaking, sponsorship' }, () => invoke('contact-form', formPost({
+      firstName: '  ',
+      lastName: 'x'.repeat(101),
+      email: 'ada@example',
+      reason: 'lottery',
+      message: 42
+    })));
+
+    assert.strictEqual(response.statusCode, 422);
+    assert.strictEqual(response.json.error, 'Validation failed');
+    assert.deepStrictEqual(fieldCodes(response), {
+      firstName: 'required',
+      lastName: 'max_length',
+      email: 'format',
+      reason: 'one_of',
+      message: 'type'
+    });
+    assert.strictEqual(fakes.resend.calls.length, 0);
+  });
+
+  it('accepts any contact reason unless CONTACT_REASONS lists them', async () => {
+    const message = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', reason: 'Podcast guest', message: 'Hello' };
+
+    const accepted = await invoke('contact-form', formPost(message));
+    const restricted = await withEnv({ CONTACT_REASONS: 'general,speaking' }, () => invoke('contact-form', formPost(message)));
+
+    assert.strictEqual(accepted.statusCode, 200);
+    assert.strictEqual(restricted.statusCode, 422);
+    assert.deepStrictEqual(restricted.json.fields, [
+      { field: 'reason', code: 'one_of', message: 'reason must be one of: general, speaking' }
+    ]);
+  });
+
+  it('rejects bodies that are not JSON objects', async () => {
+    const response = await invoke('newsletter-signup', formPost('{"firstName":'));
+
+    assert.strictEqual(response.statusCode, 400);
+    assert.deepStrictEqual(response.json, { error: 'Invalid JSON body' });
+  });
+
+  it('only accepts POST on form endpoints', async () => {
+    const response = await invoke('contact-form', { method: 'GET' });
+
+    assert.strictEqual(response.statusCode, 405);
+  });
+
+  it('rejects reminders in the past and pages on other sites', async () => {
+    const response = await invoke('reminder-form', formPost({
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: 'ada@example.com',
+      pageUrl: 'https://spam.example/buy-now',
+      remindAt: '2020-01-01T10:00:00Z'
+    }));
+
+    assert.strictEqual(response.statusCode, 422);
+    assert.deepStrictEqual(fieldCodes(response), { pageUrl: 'not_allowed', remindAt: 'past' });
+  });
+
+  it('stores trimmed values and the attribution with the submission', async () => {
+    const response = await invoke('contact-form', formPost({
+      firstName: ' Ada ',
+      lastName: 'Lovelace',
+      email: 'ada@example.com',
+      message: 'Hello',
+      landingPage: 'https://ibuildwith.ai/podcast/episode-12?utm_source=youtube&utm_campaign=launch'
+    }));
+    assert.strictEqual(response.statusCode, 200);
+
+    const { listSubmissions } = require('../netlify/lib/submissions');
+    const [submission] = await listSubmissions('contact-form');
+
+    assert.strictEqual(submission.data.firstName, 'Ada');
+    assert.strictEqual(submission.data.landingPage, undefined);
+    assert.deepStrictEqual(submission.meta.attribution, {
+      landingPage: 'https://ibuildwith.ai/podcast/episode-12?utm_source=youtube&utm_campaign=launch',
+      utmSource: 'youtube',
+      utmCampaign: 'launch'
+    });
+  });
+});